@@ -1,14 +1,27 @@
-const BASE_FREQ = 261.625565; // Middle C (C4)
-
 console.log("Base Frequency:", BASE_FREQ);
 console.log("Lower Bound Frequency:", BASE_FREQ * Math.pow(2, -0.8 / 12));
 console.log("Upper Bound Frequency:", BASE_FREQ * Math.pow(2, 11.8 / 12));
 
 // Hexagonal Grid Canvas with Pan, Zoom, and Audio
 class HexGrid {
-    constructor(canvas) {
+    // Options, for embedding (see tonnetz-grid.js):
+    //   root        where controls are looked up by id: the document, or a
+    //               shadow root
+    //   container   element the canvas fills, instead of the window
+    //   standalone  false to skip saved settings, share links and playing
+    //               from the computer keyboard
+    constructor(canvas, options = {}) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
+        this.root = options.root || document;
+        this.container = options.container || null;
+        this.standalone = options.standalone !== false;
+        // Aborted by destroy() to remove the window and document listeners
+        this.listeners = new AbortController();
+        this.resizeObserver = null;
+        // Timers of the standalone page's panels, cleared by destroy() too
+        this.meterTimer = null;
+        this.saveTimer = null;
         this.width = window.innerWidth;
         this.height = window.innerHeight;
 
@@ -25,20 +38,105 @@ class HexGrid {
         this.hexWidth = 2 * this.hexSize;
         this.hexHeight = Math.sqrt(3) * this.hexSize;
 
-        // Interaction state
-        this.enablePanZoom = false; // Flag to enable/disable panning and zooming
-        this.isDragging = false;
-        this.lastMousePos = { x: 0, y: 0 };
-        this.touches = new Map();
+        // Interaction state (see the Input panel)
+        this.enablePanZoom = false; // Pointers pan and zoom the view instead of playing
+        this.slideRetrigger = true; // Sliding onto another tile moves the note there
+        this.zoomLimits = { min: 0.5, max: 5 };
+        // Pointer id -> { x, y, hex, octave }; hex is null while panning
+        this.pointers = new Map();
+        this.pinch = null;
+        // Cells clicked with Ctrl/⌘ held stay down until the key comes up
+        this.modifierHeld = new Set();
+        // Chord mode: the shape a tap plays (see chords.js), the player's own
+        // shape as offsets from its anchor, the cells of one being drawn (or
+        // null), and the cell under the mouse its preview is drawn on
+        this.stampShape = getStampShape('single');
+        this.customStamp = [[0, 0], [1, 0], [0, 1]];
+        this.stampDrawing = null;
+        this.stampHover = null;
+        // Cells ringed on the grid, key -> 'preview', 'edit' or 'playhead'
+        // (see getCellMarks)
+        this.cellMarks = new Map();
         this.activeCells = new Map();
 
-        // Audio context
+        // Audio context, and the master bus every voice plays through
         this.audioContext = null;
+        this.masterBus = null;
+        this.masterVolume = 1;
+        this.limiterEnabled = true;
+        this.autoGain = true;
+        this.effectSettings = normalizeEffects();
         this.initAudio();
 
+        // Polyphony limit; a stolen voice goes quiet but its cell stays held
+        this.voicePool = new VoicePool();
+        this.voicePool.onSteal = (key) => {
+            const cell = this.activeCells.get(key);
+            if (cell) cell.voice = null;
+        };
+
         // Colors for visual feedback
         this.cellColors = new Map();
 
+        // Cached tile data and sprites, and what was on screen at the last
+        // redraw (see render)
+        this.tileCache = new TileCache();
+        this.drawnView = null;
+        this.drawnCells = new Map();
+        this.needsRedraw = true;
+        this.frameStats = { frames: 0, full: 0, partial: 0, drawTime: 0, maxDrawTime: 0, since: 0 };
+
+        // Melody trails and voice-leading arrows (see trails.js), drawn on a
+        // canvas of their own over the grid so fading them doesn't redraw
+        // the tiles. Each pointer gets the next trail colour as it goes down.
+        this.trails = new TrailLayer();
+        this.trailCanvas = this.root.getElementById('trail-canvas');
+        this.trailCtx = this.trailCanvas ? this.trailCanvas.getContext('2d') : null;
+        this.trailView = null;
+        this.nextTrailColor = 0;
+
+        // Chords recognised among the active cells, refreshed every frame
+        this.chordDetector = new ChordDetector();
+        this.chords = [];
+
+        // Neo-Riemannian walk and the cells it is currently sounding
+        this.triadWalk = new TriadWalk();
+        this.walkCells = new Set();
+
+        // Fling and fly-to motion of the camera, and when the last frame ran
+        this.cameraMotion = new CameraMotion();
+        this.lastFrameTime = null;
+
+        // Performance recording, and the cells lit by playing a take back
+        this.recorder = new Recorder();
+        this.playbackCells = new Set();
+        // While a take plays the camera follows the harmony: the world
+        // position of a running average of the sounding cells
+        this.followPlayback = true;
+        this.harmonicCentre = null;
+        // Set when a take starts new notes, for the next frame to follow
+        this.playbackMoved = false;
+
+        // Step sequencer and arpeggiator (see sequencer.js). The sequencer's
+        // clock drives the arpeggiator too while it is synced; otherwise the
+        // arpeggiator runs on a clock of its own.
+        this.sequencer = new StepSequencer();
+        this.arpeggiator = new Arpeggiator();
+        this.clock = new StepClock();
+        this.clock.onStep = (step, length) => {
+            if (this.sequencer.playing) this.playSequencerStep(length);
+            if (this.arpeggiator.enabled && this.arpeggiator.sync) this.playArpStep(step, length);
+        };
+        this.arpClock = new StepClock();
+        this.arpClock.onStep = (step, length) => this.playArpStep(step, length);
+        // Keys the sequencer is sounding -> a token for the step that started
+        // them, so a note-off only ends the note it was scheduled for
+        this.sequencerCells = new Map();
+        // The arpeggiator's sounding note { key, q, r, octave, frequency, voice }
+        this.arpNote = null;
+        // Step whose cells taps on the grid add and remove, or null
+        this.sequencerEditStep = null;
+
         // Joystick properties
         this.joystick = {
             baseX: 70,
@@ -48,219 +146,2181 @@ class HexGrid {
             stickX: 0,
             stickY: 0,
             active: false,
-            touchId: null,
+            pointerId: null,
             maxDistance: 40,
+            // Screen pixels per second at full tilt
+            speed: 400,
             stickElement: null,
             baseElement: null
         };
 
-        // Sound type: 'violin' or 'sine'
-        this.soundType = 'violin';
+        // Tuning system, and the 7-limit layer for tunings with a seventh axis
+        this.tuning = getTuning('ji');
+        this.tuningLayer = 0;
+        this.customTuning = { third: '5/4', fifth: '3/2' };
+
+        // Register: a global octave shift, and whether pitches fold into one
+        // octave or keep rising along the lattice
+        this.octaveShift = 0;
+        this.unfolded = false;
+
+        // What the tiles are labelled with (see getCellLabels), and the cell
+        // intervals are measured from
+        this.labelMode = 'note';
+        this.labelReference = { q: 0, r: 0 };
+
+        // Key overlay: a scale (see scales.js) on a tonic cell, or no scale
+        this.scale = null;
+        this.tonic = { q: 0, r: 0 };
+        this.snapToKey = false;
+        this.customScaleText = '0 2 4 7 9';
+
+        // Tile colours and page theme (see colors.js)
+        this.colorScheme = getColorScheme('chromatic');
+        this.theme = getTheme('dark');
+
+        // 'reference' or 'tonic' while the next tile pressed picks that cell
+        this.pickTarget = null;
+
+        // Voice patch (see voice.js) and presets saved in this browser
+        this.patch = getPreset('violin');
+        this.userPresets = this.loadUserPresets();
+
+        // External MIDI output; the internal synth can be muted while it's in use
+        this.midiOutput = new MidiOutput();
+        this.muteSynth = false;
+
+        // MIDI input: held note number -> lattice key, placed by the speller
+        this.midiInput = new MidiInput();
+        this.speller = new LatticeSpeller();
+        this.midiInputNotes = new Map();
+        this.midiInputVoicing = true; // re-voice incoming notes through the synth
+
+        // Latch mode: a tap toggles a cell on or off instead of holding it
+        this.latchMode = false;
+        this.latched = new Set();
+        // Sustain is held by any of 'button', 'key' and 'midi'; cells let go
+        // of while it is down ring on until it comes up
+        this.sustainSources = new Set();
+        this.sustained = new Set();
+
+        // Computer keyboard: held key code -> lattice key
+        this.keymap = new HexKeymap();
+        this.keyboardNotes = new Map();
+
+        // Called with { q, r, octave, frequency } as a cell starts or stops
+        // sounding, and with the chords whenever those recognised change
+        this.onNoteOn = null;
+        this.onNoteOff = null;
+        this.onChordsChanged = null;
+        this.destroyed = false;
+
+        // Saved settings, then those of any share link the page was opened
+        // from; the panels are built from whatever they set
+        const shared = this.standalone ? decodeStateHash(window.location.hash) : null;
+        if (this.standalone) this.applyState(loadStoredState() || {});
+        if (shared) this.applyState(shared);
+        this.savedState = null;
 
         this.init();
+
+        if (shared) {
+            this.restoreCells(shared.cells);
+            // A reload starts from the saved settings rather than the link
+            history.replaceState(null, '', window.location.pathname + window.location.search);
+        }
     }
 
     init() {
         this.resize();
         this.initJoystick();
         this.setupEventListeners();
+        this.initMidiPanel();
+        this.initTuningPanel();
+        this.initViewPanel();
+        this.initVoicePanel();
+        this.initMixerPanel();
+        this.initTriadWalk();
+        this.initRecorderPanel();
+        this.initSequencerPanel();
+        this.initPlayControls();
+        this.initKeyboardPlay();
+        this.initInputPanel();
+        this.initPersistence();
         this.animate();
     }
 
     initJoystick() {
-        this.joystick.stickElement = document.getElementById('joystick-stick');
-        this.joystick.baseElement = document.getElementById('joystick-base');
-        this.joystick.container = document.getElementById('joystick-container');
-
-        // Add event listeners to joystick
-        if (this.joystick.baseElement) {
-            this.joystick.baseElement.addEventListener('touchstart', (e) => this.handleJoystickTouchStart(e), { passive: false });
-            this.joystick.baseElement.addEventListener('touchmove', (e) => this.handleJoystickTouchMove(e), { passive: false });
-            this.joystick.baseElement.addEventListener('touchend', (e) => this.handleJoystickTouchEnd(e), { passive: false });
+        this.joystick.stickElement = this.root.getElementById('joystick-stick');
+        this.joystick.baseElement = this.root.getElementById('joystick-base');
+        this.joystick.container = this.root.getElementById('joystick-container');
+
+        // Pointer events, so a finger, mouse or pen can hold the stick
+        const base = this.joystick.baseElement;
+        if (base) {
+            base.addEventListener('pointerdown', (e) => this.handleJoystickPointerDown(e));
+            base.addEventListener('pointermove', (e) => this.handleJoystickPointerMove(e));
+            base.addEventListener('pointerup', (e) => this.handleJoystickPointerUp(e));
+            base.addEventListener('pointercancel', (e) => this.handleJoystickPointerUp(e));
         }
     }
 
-    handleJoystickTouchStart(e) {
+    handleJoystickPointerDown(e) {
+        e.preventDefault();
+        if (this.joystick.active) return;
+
+        this.joystick.active = true;
+        this.joystick.pointerId = e.pointerId;
+        this.joystick.baseElement.setPointerCapture(e.pointerId);
+        this.cameraMotion.stop();
+        this.moveJoystickStick(e.clientX, e.clientY);
+    }
+
+    handleJoystickPointerMove(e) {
+        if (!this.joystick.active || e.pointerId !== this.joystick.pointerId) return;
         e.preventDefault();
-        e.stopPropagation();
+        this.moveJoystickStick(e.clientX, e.clientY);
+    }
+
+    handleJoystickPointerUp(e) {
+        if (e.pointerId !== this.joystick.pointerId) return;
+
+        this.joystick.active = false;
+        this.joystick.pointerId = null;
+        this.joystick.stickX = 0;
+        this.joystick.stickY = 0;
+        this.updateJoystickVisual();
+    }
+
+    // Put the stick under the pointer, held inside the base. The camera is
+    // moved from its deflection every frame (see updateCamera).
+    moveJoystickStick(clientX, clientY) {
+        const rect = this.joystick.baseElement.getBoundingClientRect();
+        const dx = clientX - (rect.left + rect.width / 2);
+        const dy = clientY - (rect.top + rect.height / 2);
+        const distance = Math.sqrt(dx * dx + dy * dy);
+
+        if (distance > this.joystick.maxDistance) {
+            const angle = Math.atan2(dy, dx);
+            this.joystick.stickX = Math.cos(angle) * this.joystick.maxDistance;
+            this.joystick.stickY = Math.sin(angle) * this.joystick.maxDistance;
+        } else {
+            this.joystick.stickX = dx;
+            this.joystick.stickY = dy;
+        }
+        this.updateJoystickVisual();
+    }
 
-        if (e.touches.length > 0) {
-            const touch = e.touches[0];
-            this.joystick.active = true;
-            this.joystick.touchId = touch.identifier;
+    initAudio() {
+        // Create audio context on first user interaction. The canvas cancels
+        // the mouse events that follow a pointerdown, so listen for that too.
+        const events = ['touchstart', 'mousedown', 'pointerdown'];
+        const startAudio = () => {
+            if (!this.audioContext && !this.destroyed) {
+                this.audioContext = getSharedAudioContext();
+                this.masterBus = new MasterBus(this.audioContext);
+                this.applyMixerSettings();
+                this.resoundCells();
+            }
+            events.forEach(type => document.removeEventListener(type, startAudio));
+        };
+        events.forEach(type => document.addEventListener(type, startAudio, { once: true, signal: this.listeners.signal }));
+    }
 
-            const rect = this.joystick.baseElement.getBoundingClientRect();
-            const centerX = rect.left + rect.width / 2;
-            const centerY = rect.top + rect.height / 2;
+    resize() {
+        const dpr = window.devicePixelRatio || 1;
+        this.dpr = dpr; // Store for coordinate conversion
 
-            const dx = touch.clientX - centerX;
-            const dy = touch.clientY - centerY;
-            const distance = Math.sqrt(dx * dx + dy * dy);
+        // Get CSS dimensions
+        if (this.container) {
+            this.width = this.container.clientWidth;
+            this.height = this.container.clientHeight;
+        } else {
+            this.width = window.innerWidth;
+            this.height = window.innerHeight;
+        }
+
+        // Set canvas CSS size explicitly
+        this.canvas.style.width = `${this.width}px`;
+        this.canvas.style.height = `${this.height}px`;
 
-            if (distance > this.joystick.maxDistance) {
-                const angle = Math.atan2(dy, dx);
-                this.joystick.stickX = Math.cos(angle) * this.joystick.maxDistance;
-                this.joystick.stickY = Math.sin(angle) * this.joystick.maxDistance;
+        // Set canvas internal resolution to match device pixel ratio
+        this.canvas.width = this.width * dpr;
+        this.canvas.height = this.height * dpr;
+
+        // Scale context to account for device pixel ratio
+        this.ctx.scale(dpr, dpr);
+
+        if (this.trailCanvas) {
+            this.trailCanvas.style.width = `${this.width}px`;
+            this.trailCanvas.style.height = `${this.height}px`;
+            this.trailCanvas.width = this.width * dpr;
+            this.trailCanvas.height = this.height * dpr;
+            this.trailCtx.scale(dpr, dpr);
+            this.trailView = null;
+        }
+
+        // Update joystick position
+        this.joystick.baseY = this.height - 100;
+
+        // Resizing the canvas clears it
+        this.invalidate();
+    }
+
+    setupEventListeners() {
+        if (this.container && window.ResizeObserver) {
+            this.resizeObserver = new ResizeObserver(() => this.resize());
+            this.resizeObserver.observe(this.container);
+        } else {
+            window.addEventListener('resize', () => this.resize(), { signal: this.listeners.signal });
+        }
+
+        // Mouse, pen and touch all come through pointer events
+        this.canvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        this.canvas.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        this.canvas.addEventListener('pointerup', (e) => this.handlePointerUp(e, true));
+        this.canvas.addEventListener('pointercancel', (e) => this.handlePointerUp(e, false));
+        this.canvas.addEventListener('pointerleave', () => this.updateStampHover(null));
+        this.canvas.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
+        // Ctrl-click is a right click on a Mac
+        this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+
+        // Letting go of Ctrl/⌘ releases the notes it was holding
+        window.addEventListener('keyup', (e) => {
+            if (e.key === 'Control' || e.key === 'Meta') this.releaseModifierHeld();
+        }, { signal: this.listeners.signal });
+        window.addEventListener('blur', () => this.releaseModifierHeld(), { signal: this.listeners.signal });
+
+        // Zoom button events
+        const zoomInBtn = this.root.getElementById('zoom-in');
+        const zoomOutBtn = this.root.getElementById('zoom-out');
+
+        if (zoomInBtn) {
+            zoomInBtn.addEventListener('click', () => this.zoomIn());
+            zoomInBtn.addEventListener('touchstart', (e) => {
+                e.preventDefault();
+                this.zoomIn();
+            });
+        }
+
+        if (zoomOutBtn) {
+            zoomOutBtn.addEventListener('click', () => this.zoomOut());
+            zoomOutBtn.addEventListener('touchstart', (e) => {
+                e.preventDefault();
+                this.zoomOut();
+            });
+        }
+    }
+
+    applyMixerSettings() {
+        if (!this.masterBus) return;
+        this.masterBus.setVolume(this.masterVolume);
+        this.masterBus.setLimiterEnabled(this.limiterEnabled);
+        this.masterBus.autoGain = this.autoGain;
+        this.masterBus.setVoiceCount(this.voicePool.count);
+        this.masterBus.effects.apply(this.effectSettings);
+    }
+
+    initEffectControls() {
+        const panel = this.root.getElementById('mixer-panel');
+        const impulseInput = this.root.getElementById('reverb-impulse');
+        const generatedButton = this.root.getElementById('reverb-generated');
+        const status = this.root.getElementById('reverb-status');
+
+        // Settings are addressed by paths like 'delay.feedback'
+        panel.querySelectorAll('[data-effect]').forEach(input => {
+            const [effect, param] = input.dataset.effect.split('.');
+            const output = input.parentElement.querySelector('output');
+            const showValue = () => {
+                if (output) output.textContent = Number(input.value).toFixed(2);
+            };
+
+            if (input.type === 'checkbox') {
+                input.checked = this.effectSettings[effect][param];
             } else {
-                this.joystick.stickX = dx;
-                this.joystick.stickY = dy;
+                input.value = this.effectSettings[effect][param];
+                showValue();
             }
 
-            this.updateJoystickVisual();
+            input.addEventListener(input.type === 'checkbox' ? 'change' : 'input', () => {
+                this.effectSettings[effect][param] = input.type === 'checkbox' ? input.checked : Number(input.value);
+                showValue();
+                this.applyMixerSettings();
+                this.saveState();
+            });
+        });
+
+        // A loaded impulse response lasts for the session; it is too big to save
+        impulseInput.addEventListener('change', () => {
+            const file = impulseInput.files[0];
+            if (!file) return;
+            if (!this.masterBus) {
+                status.textContent = 'Play a note first to start audio';
+                impulseInput.value = '';
+                return;
+            }
+            file.arrayBuffer()
+                .then(data => this.audioContext.decodeAudioData(data))
+                .then(buffer => {
+                    this.masterBus.effects.reverb.setImpulse(buffer);
+                    status.textContent = `Impulse: ${file.name}`;
+                })
+                .catch(() => {
+                    status.textContent = 'Could not decode that audio file';
+                });
+            impulseInput.value = '';
+        });
+
+        generatedButton.addEventListener('click', () => {
+            if (this.masterBus) this.masterBus.effects.reverb.setImpulse(null);
+            status.textContent = '';
+        });
+    }
+
+    initMixerPanel() {
+        const mixerToggle = this.root.getElementById('mixer-toggle');
+        const panel = this.root.getElementById('mixer-panel');
+        const volumeInput = this.root.getElementById('mixer-volume');
+        const limiterInput = this.root.getElementById('mixer-limiter');
+        const autoGainInput = this.root.getElementById('mixer-auto-gain');
+        const maxVoicesInput = this.root.getElementById('mixer-max-voices');
+        const policySelect = this.root.getElementById('mixer-steal-policy');
+        const meter = this.root.getElementById('mixer-meter');
+
+        if (!mixerToggle) return;
+
+        volumeInput.value = this.masterVolume;
+        limiterInput.checked = this.limiterEnabled;
+        autoGainInput.checked = this.autoGain;
+        maxVoicesInput.value = this.voicePool.maxVoices;
+        policySelect.value = this.voicePool.policy;
+
+        mixerToggle.addEventListener('click', () => this.togglePanel('mixer-panel'));
+
+        volumeInput.addEventListener('input', () => {
+            this.masterVolume = Number(volumeInput.value);
+            this.applyMixerSettings();
+        });
+        limiterInput.addEventListener('change', () => {
+            this.limiterEnabled = limiterInput.checked;
+            this.applyMixerSettings();
+        });
+        autoGainInput.addEventListener('change', () => {
+            this.autoGain = autoGainInput.checked;
+            this.applyMixerSettings();
+        });
+        maxVoicesInput.addEventListener('change', () => {
+            this.voicePool.maxVoices = Math.max(1, Math.min(64, Math.round(Number(maxVoicesInput.value)) || 16));
+            maxVoicesInput.value = this.voicePool.maxVoices;
+        });
+        policySelect.addEventListener('change', () => {
+            this.voicePool.policy = STEAL_POLICIES.includes(policySelect.value) ? policySelect.value : 'oldest';
+        });
+
+        this.initEffectControls();
+
+        // Voice count and limiter activity, while the panel is open
+        this.meterTimer = setInterval(() => {
+            if (panel.classList.contains('hidden')) return;
+            const reduction = this.masterBus ? this.masterBus.reduction : 0;
+            meter.textContent = `${this.voicePool.count} voices · limiter ${reduction.toFixed(1)} dB`;
+        }, 250);
+    }
+
+    loadUserPresets() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('tonnetz.voicePresets') || '[]');
+            return Array.isArray(saved) ? saved.map(patch => normalizePatch(patch)) : [];
+        } catch (err) {
+            return [];
         }
     }
 
-    handleJoystickTouchMove(e) {
-        e.preventDefault();
-        e.stopPropagation();
+    saveUserPresets() {
+        try {
+            localStorage.setItem('tonnetz.voicePresets', JSON.stringify(this.userPresets));
+        } catch (err) {
+            console.warn('Could not save voice presets', err);
+        }
+    }
+
+    initVoicePanel() {
+        const voiceToggle = this.root.getElementById('voice-toggle');
+        const panel = this.root.getElementById('voice-panel');
+        const presetSelect = this.root.getElementById('voice-preset');
+        const saveButton = this.root.getElementById('voice-save');
+        const deleteButton = this.root.getElementById('voice-delete');
+        const exportButton = this.root.getElementById('voice-export');
+        const importInput = this.root.getElementById('voice-import');
+        const status = this.root.getElementById('voice-status');
+
+        if (!voiceToggle) return;
+
+        const controls = Array.from(panel.querySelectorAll('[data-param]'));
+
+        // Patch values are addressed by paths like 'envelope.attack' or 'harmonics.2'
+        const getValue = (path) => path.split('.').reduce((obj, part) => (obj ? obj[part] : undefined), this.patch);
+        const setValue = (patch, path, value) => {
+            const parts = path.split('.');
+            const last = parts.pop();
+            const target = parts.reduce((obj, part) => obj[part], patch);
+            if (Array.isArray(target)) {
+                while (target.length <= Number(last)) target.push(0);
+            }
+            target[last] = value;
+        };
 
-        if (!this.joystick.active) return;
+        // Log-scaled sliders run 0-1 and map onto data-min..data-max
+        const toSlider = (input, value) => {
+            if (input.dataset.scale !== 'log') return value;
+            const min = Number(input.dataset.min);
+            const max = Number(input.dataset.max);
+            return Math.log(value / min) / Math.log(max / min);
+        };
+        const fromSlider = (input) => {
+            if (input.dataset.scale !== 'log') return input.type === 'range' ? Number(input.value) : input.value;
+            const min = Number(input.dataset.min);
+            const max = Number(input.dataset.max);
+            return min * Math.pow(max / min, Number(input.value));
+        };
 
-        for (let touch of e.touches) {
-            if (touch.identifier === this.joystick.touchId) {
-                const rect = this.joystick.baseElement.getBoundingClientRect();
-                const centerX = rect.left + rect.width / 2;
-                const centerY = rect.top + rect.height / 2;
+        const showValue = (input, value) => {
+            const output = input.parentElement.querySelector('output');
+            if (!output) return;
+            output.textContent = value >= 100 ? Math.round(value) : Number(value).toFixed(2);
+        };
 
-                const dx = touch.clientX - centerX;
-                const dy = touch.clientY - centerY;
-                const distance = Math.sqrt(dx * dx + dy * dy);
+        const updateControls = () => {
+            controls.forEach(input => {
+                const value = getValue(input.dataset.param);
+                const current = value === undefined ? 0 : value;
+                input.value = toSlider(input, current);
+                showValue(input, current);
+            });
+        };
 
-                if (distance > this.joystick.maxDistance) {
-                    const angle = Math.atan2(dy, dx);
-                    this.joystick.stickX = Math.cos(angle) * this.joystick.maxDistance;
-                    this.joystick.stickY = Math.sin(angle) * this.joystick.maxDistance;
-                } else {
-                    this.joystick.stickX = dx;
-                    this.joystick.stickY = dy;
+        const fillPresets = () => {
+            presetSelect.innerHTML = '';
+            const builtIn = document.createElement('optgroup');
+            builtIn.label = 'Built-in';
+            VOICE_PRESETS.forEach(preset => {
+                const option = document.createElement('option');
+                option.value = `builtin:${preset.name}`;
+                option.textContent = preset.name;
+                builtIn.appendChild(option);
+            });
+            presetSelect.appendChild(builtIn);
+
+            if (this.userPresets.length > 0) {
+                const saved = document.createElement('optgroup');
+                saved.label = 'Saved';
+                this.userPresets.forEach(preset => {
+                    const option = document.createElement('option');
+                    option.value = `user:${preset.name}`;
+                    option.textContent = preset.name;
+                    saved.appendChild(option);
+                });
+                presetSelect.appendChild(saved);
+            }
+
+            const isUser = this.userPresets.some(preset => preset.name === this.patch.name);
+            presetSelect.value = `${isUser ? 'user' : 'builtin'}:${this.patch.name}`;
+            deleteButton.disabled = !isUser;
+        };
+
+        const selectPatch = (patch) => {
+            this.patch = normalizePatch(patch);
+            fillPresets();
+            updateControls();
+        };
+
+        voiceToggle.addEventListener('click', () => this.togglePanel('voice-panel'));
+
+        presetSelect.addEventListener('change', () => {
+            const [source, name] = presetSelect.value.split(/:(.*)/);
+            const list = source === 'user' ? this.userPresets : VOICE_PRESETS;
+            const preset = list.find(p => p.name === name);
+            if (preset) selectPatch(preset);
+            status.textContent = '';
+        });
+
+        // Editing makes a new patch, so notes already sounding keep theirs
+        controls.forEach(input => {
+            const eventName = input.tagName === 'SELECT' ? 'change' : 'input';
+            input.addEventListener(eventName, () => {
+                const patch = normalizePatch(JSON.parse(JSON.stringify(this.patch)));
+                const value = fromSlider(input);
+                setValue(patch, input.dataset.param, value);
+                this.patch = normalizePatch(patch);
+                showValue(input, value);
+            });
+        });
+
+        saveButton.addEventListener('click', () => {
+            // Built-in names can't be saved over, so suggest a free one
+            const isBuiltIn = VOICE_PRESETS.some(preset => preset.name === this.patch.name);
+            const suggestion = isBuiltIn ? `${this.patch.name} (edited)` : this.patch.name;
+            const name = (window.prompt('Preset name', suggestion) || '').trim();
+            if (!name) return;
+            if (VOICE_PRESETS.some(preset => preset.name === name)) {
+                status.textContent = 'That name belongs to a built-in preset';
+                return;
+            }
+            const patch = normalizePatch({ ...this.patch, name });
+            this.userPresets = this.userPresets.filter(preset => preset.name !== name).concat([patch]);
+            this.saveUserPresets();
+            selectPatch(patch);
+            status.textContent = '';
+        });
+
+        deleteButton.addEventListener('click', () => {
+            this.userPresets = this.userPresets.filter(preset => preset.name !== this.patch.name);
+            this.saveUserPresets();
+            selectPatch(VOICE_PRESETS[0]);
+        });
+
+        exportButton.addEventListener('click', () => {
+            const filename = `${this.patch.name.replace(/[^\w-]+/g, '-')}.json`;
+            this.downloadFile(filename, JSON.stringify(this.patch, null, 2), 'application/json');
+        });
+
+        importInput.addEventListener('change', () => {
+            const file = importInput.files[0];
+            if (!file) return;
+            file.text().then(text => {
+                const patch = normalizePatch(JSON.parse(text));
+                if (VOICE_PRESETS.some(preset => preset.name === patch.name)) {
+                    patch.name = `${patch.name} (imported)`;
                 }
+                this.userPresets = this.userPresets.filter(preset => preset.name !== patch.name).concat([patch]);
+                this.saveUserPresets();
+                selectPatch(patch);
+                status.textContent = '';
+            }).catch(() => {
+                status.textContent = 'Not a voice preset file';
+            });
+            importInput.value = '';
+        });
+
+        selectPatch(this.patch);
+    }
 
-                // Pan camera based on joystick
-                const panSpeed = 5;
-                this.camera.x -= (this.joystick.stickX / this.joystick.maxDistance) * panSpeed;
-                this.camera.y -= (this.joystick.stickY / this.joystick.maxDistance) * panSpeed;
+    initInputPanel() {
+        const inputToggle = this.root.getElementById('input-toggle');
+        const modeSelect = this.root.getElementById('input-mode');
+        const slideInput = this.root.getElementById('input-slide');
+        const zoomMinInput = this.root.getElementById('input-zoom-min');
+        const zoomMaxInput = this.root.getElementById('input-zoom-max');
+        const stampSelect = this.root.getElementById('input-stamp');
+        const drawButton = this.root.getElementById('input-stamp-draw');
+        const stampHint = this.root.getElementById('input-stamp-hint');
 
-                this.updateJoystickVisual();
-                break;
+        if (!inputToggle) return;
+
+        inputToggle.addEventListener('click', () => this.togglePanel('input-panel'));
+
+        modeSelect.value = this.enablePanZoom ? 'pan' : 'play';
+        modeSelect.addEventListener('change', () => this.setPanZoom(modeSelect.value === 'pan'));
+
+        slideInput.checked = this.slideRetrigger;
+        slideInput.addEventListener('change', () => {
+            this.slideRetrigger = slideInput.checked;
+        });
+
+        const showLimits = () => {
+            zoomMinInput.value = this.zoomLimits.min;
+            zoomMaxInput.value = this.zoomLimits.max;
+        };
+        const applyLimits = () => {
+            this.setZoomLimits(Number(zoomMinInput.value), Number(zoomMaxInput.value));
+            showLimits();
+        };
+        zoomMinInput.addEventListener('change', applyLimits);
+        zoomMaxInput.addEventListener('change', applyLimits);
+        showLimits();
+
+        STAMP_SHAPES.forEach(shape => {
+            const option = document.createElement('option');
+            option.value = shape.id;
+            option.textContent = shape.name;
+            stampSelect.appendChild(option);
+        });
+        stampSelect.value = this.stampShape.id;
+        stampSelect.addEventListener('change', () => {
+            this.stampShape = getStampShape(stampSelect.value);
+        });
+
+        // Draw a custom shape by tapping its cells; the first is its anchor
+        drawButton.addEventListener('click', () => {
+            if (!this.stampDrawing) {
+                this.stampDrawing = [];
+                drawButton.textContent = 'Done';
+                drawButton.classList.add('active');
+                stampHint.textContent = 'Tap tiles to add or remove them. A tap plays the shape from the first tile';
+                return;
             }
+            const [anchor] = this.stampDrawing;
+            if (anchor) {
+                this.customStamp = this.stampDrawing.map(cell => [cell.q - anchor.q, cell.r - anchor.r]);
+                this.stampShape = getStampShape('custom');
+                stampSelect.value = 'custom';
+            }
+            this.stampDrawing = null;
+            drawButton.textContent = 'Draw custom shape';
+            drawButton.classList.remove('active');
+            stampHint.textContent = '';
+        });
+    }
+
+    // Switching mode lets go of anything the pointers were holding
+    setPanZoom(enabled) {
+        Array.from(this.pointers.values()).forEach(pointer => {
+            pointer.cells.forEach(cell => this.releaseCell(`${cell.q},${cell.r}`));
+        });
+        this.pointers.clear();
+        this.pinch = null;
+        this.enablePanZoom = enabled;
+    }
+
+    // Zoom limits from 0.1x to 20x, the minimum at most the maximum
+    setZoomLimits(min, max) {
+        const valid = (value, fallback) => (Number.isFinite(value) && value > 0 ? value : fallback);
+        const low = Math.max(0.1, Math.min(20, valid(min, this.zoomLimits.min)));
+        const high = Math.max(0.1, Math.min(20, valid(max, this.zoomLimits.max)));
+        this.zoomLimits = { min: Math.min(low, high), max: Math.max(low, high) };
+        this.camera.zoom = this.clampZoom(this.camera.zoom);
+    }
+
+    // Everything saved between visits (see state.js)
+    getState() {
+        return {
+            version: STATE_VERSION,
+            camera: { ...this.camera },
+            enablePanZoom: this.enablePanZoom,
+            slideRetrigger: this.slideRetrigger,
+            zoomLimits: { ...this.zoomLimits },
+            stamp: { shape: this.stampShape.id, custom: this.customStamp },
+            tuning: { id: this.tuning.id, ...this.customTuning },
+            tuningLayer: this.tuningLayer,
+            octaveShift: this.octaveShift,
+            unfolded: this.unfolded,
+            labelMode: this.labelMode,
+            labelReference: { ...this.labelReference },
+            key: {
+                scale: this.scale ? this.scale.id : null,
+                custom: this.customScaleText,
+                tonic: { ...this.tonic },
+                snap: this.snapToKey
+            },
+            colorScheme: this.colorScheme.id,
+            theme: this.theme.id,
+            trails: { enabled: this.trails.enabled, fade: this.trails.fadeTime },
+            latchMode: this.latchMode,
+            sequencer: {
+                tempo: this.clock.tempo,
+                swing: this.clock.swing,
+                gate: this.sequencer.gate,
+                pattern: this.sequencer.getPattern()
+            },
+            arpeggiator: {
+                order: this.arpeggiator.order,
+                rate: this.arpeggiator.rate,
+                gate: this.arpeggiator.gate,
+                sync: this.arpeggiator.sync,
+                tempo: this.arpeggiator.tempo
+            },
+            patch: this.patch,
+            effects: this.effectSettings,
+            mixer: {
+                volume: this.masterVolume,
+                limiter: this.limiterEnabled,
+                autoGain: this.autoGain,
+                maxVoices: this.voicePool.maxVoices,
+                stealPolicy: this.voicePool.policy
+            }
+        };
+    }
+
+    // Settings from storage or a share link. Anything missing or malformed
+    // keeps its current value.
+    applyState(state) {
+        const number = (value, fallback) => (Number.isFinite(value) ? value : fallback);
+        const cell = (value, fallback) => (value && Number.isInteger(value.q) && Number.isInteger(value.r)
+            ? { q: value.q, r: value.r }
+            : fallback);
+
+        if (state.camera) {
+            this.camera = {
+                x: number(state.camera.x, this.camera.x),
+                y: number(state.camera.y, this.camera.y),
+                zoom: number(state.camera.zoom, this.camera.zoom)
+            };
+        }
+        if (typeof state.enablePanZoom === 'boolean') this.enablePanZoom = state.enablePanZoom;
+        if (typeof state.slideRetrigger === 'boolean') this.slideRetrigger = state.slideRetrigger;
+        if (state.zoomLimits) {
+            this.setZoomLimits(number(state.zoomLimits.min, this.zoomLimits.min), number(state.zoomLimits.max, this.zoomLimits.max));
+        }
+        this.camera.zoom = this.clampZoom(this.camera.zoom);
+        if (state.stamp) {
+            const { shape, custom } = state.stamp;
+            const valid = Array.isArray(custom) && custom.length > 0 && custom.length <= MAX_STAMP_CELLS &&
+                custom.every(cell => Array.isArray(cell) && Number.isInteger(cell[0]) && Number.isInteger(cell[1]));
+            if (valid) this.customStamp = custom.map(([dq, dr]) => [dq, dr]);
+            if (typeof shape === 'string') this.stampShape = getStampShape(shape);
+        }
+
+        if (state.tuning) {
+            const { id, third, fifth } = state.tuning;
+            if (typeof third === 'string' && typeof fifth === 'string') this.customTuning = { third, fifth };
+            const tuning = id === 'custom' ? createCustomTuning(this.customTuning.third, this.customTuning.fifth) : getTuning(id);
+            if (tuning) this.tuning = tuning;
+            this.tuningLayer = this.tuning.seventh && Number.isInteger(state.tuningLayer) ? state.tuningLayer : 0;
+        }
+        if (Number.isInteger(state.octaveShift)) this.octaveShift = Math.max(-3, Math.min(3, state.octaveShift));
+        if (typeof state.unfolded === 'boolean') this.unfolded = state.unfolded;
+
+        if (typeof state.labelMode === 'string') this.labelMode = state.labelMode;
+        this.labelReference = cell(state.labelReference, this.labelReference);
+        if (state.key) {
+            if (typeof state.key.custom === 'string') this.customScaleText = state.key.custom;
+            this.scale = state.key.scale === 'custom' ? createCustomScale(this.customScaleText) : getScale(state.key.scale);
+            this.tonic = cell(state.key.tonic, this.tonic);
+            if (typeof state.key.snap === 'boolean') this.snapToKey = state.key.snap;
+        }
+        if (typeof state.colorScheme === 'string') this.colorScheme = getColorScheme(state.colorScheme);
+        if (typeof state.theme === 'string') this.setTheme(state.theme);
+        if (state.trails) {
+            if (typeof state.trails.enabled === 'boolean') this.trails.enabled = state.trails.enabled;
+            if (TRAIL_FADE_TIMES.some(fade => fade.seconds === state.trails.fade)) this.trails.fadeTime = state.trails.fade;
+        }
+
+        if (typeof state.latchMode === 'boolean') this.latchMode = state.latchMode;
+        if (state.sequencer) {
+            const { tempo, swing, gate, pattern } = state.sequencer;
+            if (Number.isFinite(tempo)) this.clock.tempo = Math.max(30, Math.min(300, tempo));
+            if (Number.isFinite(swing)) this.clock.swing = Math.max(0, Math.min(MAX_SWING, swing));
+            if (Number.isFinite(gate)) this.sequencer.gate = Math.max(0.1, Math.min(1, gate));
+            this.sequencer.setPattern(pattern);
+        }
+        if (state.arpeggiator) {
+            const { order, rate, gate, sync, tempo } = state.arpeggiator;
+            if (ARP_ORDERS.some(option => option.id === order)) this.arpeggiator.order = order;
+            if (ARP_RATES.some(option => option.steps === rate)) this.arpeggiator.rate = rate;
+            if (Number.isFinite(gate)) this.arpeggiator.gate = Math.max(0.1, Math.min(1, gate));
+            if (typeof sync === 'boolean') this.arpeggiator.sync = sync;
+            if (Number.isFinite(tempo)) this.arpeggiator.tempo = Math.max(30, Math.min(300, tempo));
+        }
+        if (state.patch) this.patch = normalizePatch(state.patch);
+        if (state.effects) this.effectSettings = normalizeEffects(state.effects);
+        if (state.mixer) {
+            const { volume, limiter, autoGain, maxVoices, stealPolicy } = state.mixer;
+            if (Number.isFinite(volume)) this.masterVolume = Math.max(0, Math.min(1.5, volume));
+            if (typeof limiter === 'boolean') this.limiterEnabled = limiter;
+            if (typeof autoGain === 'boolean') this.autoGain = autoGain;
+            if (Number.isInteger(maxVoices)) this.voicePool.maxVoices = Math.max(1, Math.min(64, maxVoices));
+            if (STEAL_POLICIES.includes(stealPolicy)) this.voicePool.policy = stealPolicy;
         }
     }
 
-    handleJoystickTouchEnd(e) {
-        e.preventDefault();
-        e.stopPropagation();
+    // Write the state when it has changed since it was last saved
+    saveState() {
+        const state = this.getState();
+        const json = JSON.stringify(state);
+        if (json === this.savedState) return;
+        this.savedState = json;
+        storeState(state);
+    }
 
-        this.joystick.active = false;
-        this.joystick.touchId = null;
-        this.joystick.stickX = 0;
-        this.joystick.stickY = 0;
-        this.updateJoystickVisual();
+    // A link to this view with these settings and the cells now sounding.
+    // The mixer is left out: levels and polyphony belong to each listener.
+    getShareUrl() {
+        const state = this.getState();
+        delete state.mixer;
+        state.cells = Array.from(this.activeCells.entries()).map(([key, cell]) => (
+            [cell.q, cell.r, cell.octave, this.latched.has(key) ? 1 : 0]
+        ));
+        return `${window.location.href.split('#')[0]}${encodeStateHash(state)}`;
     }
 
-    initAudio() {
-        // Create audio context on first user interaction
-        const startAudio = () => {
-            if (!this.audioContext) {
-                this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    // The cells of a share link, as [q, r, octave, latched]. Audio can't
+    // start before the page is touched, so they light up first and sound
+    // from the first touch (see resoundCells).
+    restoreCells(cells) {
+        if (!Array.isArray(cells)) return;
+        cells.slice(0, 64).forEach(cell => {
+            if (!Array.isArray(cell) || !cell.slice(0, 3).every(Number.isInteger)) return;
+            const [q, r, octave, latched] = cell;
+            this.playTone(q, r, { octave: Math.max(-4, Math.min(4, octave)) });
+            if (latched) this.latched.add(`${q},${r}`);
+        });
+    }
+
+    // Give a voice to cells that lit up before audio started
+    resoundCells() {
+        if (this.muteSynth) return;
+        Array.from(this.activeCells.entries()).forEach(([key, cell]) => {
+            if (cell.voice || cell.arpHeld) return;
+            const latched = this.latched.has(key);
+            this.playTone(cell.q, cell.r, { octave: cell.octave });
+            if (latched) this.latched.add(key);
+        });
+    }
+
+    initPersistence() {
+        const shareButton = this.root.getElementById('share-link');
+
+        if (!this.standalone) return;
+
+        // Saved once a second if anything changed, and when the page is left
+        this.saveTimer = setInterval(() => this.saveState(), 1000);
+        window.addEventListener('pagehide', () => this.saveState(), { signal: this.listeners.signal });
+
+        // Another share link opened in this tab
+        window.addEventListener('hashchange', () => {
+            if (decodeStateHash(window.location.hash)) window.location.reload();
+        }, { signal: this.listeners.signal });
+
+        if (!shareButton) return;
+
+        const flash = (text) => {
+            shareButton.textContent = text;
+            setTimeout(() => {
+                shareButton.textContent = 'Share';
+            }, 1500);
+        };
+        shareButton.addEventListener('click', () => {
+            const url = this.getShareUrl();
+            if (!navigator.clipboard) {
+                window.prompt('Copy this link', url);
+                return;
+            }
+            navigator.clipboard.writeText(url)
+                .then(() => flash('Copied'))
+                .catch(() => window.prompt('Copy this link', url));
+        });
+    }
+
+    // Show or hide one of the settings panels, closing any other open one
+    togglePanel(panelId) {
+        this.root.querySelectorAll('.panel').forEach(panel => {
+            if (panel.id === panelId) {
+                panel.classList.toggle('hidden');
+            } else {
+                panel.classList.add('hidden');
             }
-            document.removeEventListener('touchstart', startAudio);
-            document.removeEventListener('mousedown', startAudio);
+        });
+    }
+
+    initMidiPanel() {
+        const midiToggle = this.root.getElementById('midi-toggle');
+        const deviceSelect = this.root.getElementById('midi-device');
+        const modeSelect = this.root.getElementById('midi-mode');
+        const firstChannelInput = this.root.getElementById('midi-first-channel');
+        const lastChannelInput = this.root.getElementById('midi-last-channel');
+        const bendRangeInput = this.root.getElementById('midi-bend-range');
+        const muteSynthInput = this.root.getElementById('midi-mute-synth');
+        const inputSelect = this.root.getElementById('midi-input');
+        const voicingInput = this.root.getElementById('midi-input-voicing');
+        const status = this.root.getElementById('midi-status');
+
+        if (!midiToggle) return;
+
+        const fillDevices = (outputs) => {
+            const selectedId = this.midiOutput.output ? this.midiOutput.output.id : '';
+            deviceSelect.innerHTML = '<option value="">Off</option>';
+            outputs.forEach(output => {
+                const option = document.createElement('option');
+                option.value = output.id;
+                option.textContent = output.name;
+                option.selected = output.id === selectedId;
+                deviceSelect.appendChild(option);
+            });
+        };
+        this.midiOutput.onDevicesChanged = fillDevices;
+
+        const fillInputs = (inputs) => {
+            const selectedId = this.midiInput.inputId;
+            inputSelect.innerHTML = '<option value="">Off</option><option value="all">All inputs</option>';
+            inputs.forEach(input => {
+                const option = document.createElement('option');
+                option.value = input.id;
+                option.textContent = input.name;
+                inputSelect.appendChild(option);
+            });
+            inputSelect.value = selectedId;
         };
-        document.addEventListener('touchstart', startAudio, { once: true });
-        document.addEventListener('mousedown', startAudio, { once: true });
+        this.midiInput.onDevicesChanged = fillInputs;
+        this.midiInput.onNoteOn = (note) => this.handleMidiNoteOn(note);
+        this.midiInput.onNoteOff = (note) => this.handleMidiNoteOff(note);
+
+        midiToggle.addEventListener('click', () => {
+            this.togglePanel('midi-panel');
+            Promise.all([this.midiOutput.requestAccess(), this.midiInput.requestAccess()])
+                .then(() => {
+                    fillDevices(this.midiOutput.getOutputs());
+                    fillInputs(this.midiInput.getInputs());
+                    status.textContent = '';
+                })
+                .catch(err => {
+                    status.textContent = err.message;
+                });
+        });
+
+        deviceSelect.addEventListener('change', () => {
+            this.midiOutput.selectOutput(deviceSelect.value);
+            midiToggle.classList.toggle('active', this.midiOutput.enabled || this.midiInput.enabled);
+        });
+        modeSelect.addEventListener('change', () => this.midiOutput.setMode(modeSelect.value));
+
+        const updateChannels = () => {
+            this.midiOutput.setChannelRange(Number(firstChannelInput.value), Number(lastChannelInput.value));
+            firstChannelInput.value = this.midiOutput.firstChannel;
+            lastChannelInput.value = this.midiOutput.lastChannel;
+        };
+        firstChannelInput.addEventListener('change', updateChannels);
+        lastChannelInput.addEventListener('change', updateChannels);
+
+        bendRangeInput.addEventListener('change', () => {
+            this.midiOutput.setBendRange(Number(bendRangeInput.value));
+            bendRangeInput.value = this.midiOutput.bendRange;
+        });
+
+        muteSynthInput.addEventListener('change', () => {
+            this.muteSynth = muteSynthInput.checked;
+        });
+
+        inputSelect.addEventListener('change', () => {
+            this.midiInput.selectInput(inputSelect.value);
+            midiToggle.classList.toggle('active', this.midiOutput.enabled || this.midiInput.enabled);
+            if (!this.midiInput.enabled) {
+                Array.from(this.midiInputNotes.keys()).forEach(note => this.handleMidiNoteOff(note));
+            }
+        });
+
+        voicingInput.addEventListener('change', () => {
+            this.midiInputVoicing = voicingInput.checked;
+        });
     }
 
-    resize() {
-        const dpr = window.devicePixelRatio || 1;
-        this.dpr = dpr; // Store for coordinate conversion
+    setTuning(tuning) {
+        // Held notes would keep their old pitch, so release them first
+        Array.from(this.activeCells.keys()).forEach(key => this.stopTone(key));
+        this.tuning = tuning;
+        if (!tuning.seventh) this.tuningLayer = 0;
+    }
 
-        // Get CSS dimensions
-        this.width = window.innerWidth;
-        this.height = window.innerHeight;
+    setTuningLayer(layer) {
+        if (!this.tuning.seventh) return;
+        Array.from(this.activeCells.keys()).forEach(key => this.stopTone(key));
+        this.tuningLayer = layer;
+    }
 
-        // Set canvas CSS size explicitly
-        this.canvas.style.width = `${this.width}px`;
-        this.canvas.style.height = `${this.height}px`;
+    initTuningPanel() {
+        const tuningToggle = this.root.getElementById('tuning-toggle');
+        const tuningSelect = this.root.getElementById('tuning-select');
+        const customFields = this.root.getElementById('tuning-custom');
+        const thirdInput = this.root.getElementById('tuning-third');
+        const fifthInput = this.root.getElementById('tuning-fifth');
+        const layerFields = this.root.getElementById('tuning-layer');
+        const layerValue = this.root.getElementById('tuning-layer-value');
+        const layerDown = this.root.getElementById('tuning-layer-down');
+        const layerUp = this.root.getElementById('tuning-layer-up');
+        const status = this.root.getElementById('tuning-status');
+
+        if (!tuningToggle) return;
+
+        TUNINGS.forEach(tuning => {
+            const option = document.createElement('option');
+            option.value = tuning.id;
+            option.textContent = tuning.name;
+            tuningSelect.appendChild(option);
+        });
+        const customOption = document.createElement('option');
+        customOption.value = 'custom';
+        customOption.textContent = 'Custom generators';
+        tuningSelect.appendChild(customOption);
+        tuningSelect.value = this.tuning.id;
+        thirdInput.value = this.customTuning.third;
+        fifthInput.value = this.customTuning.fifth;
+
+        const updateFields = () => {
+            customFields.classList.toggle('hidden', tuningSelect.value !== 'custom');
+            layerFields.classList.toggle('hidden', !this.tuning.seventh);
+            layerValue.textContent = this.tuningLayer;
+        };
+
+        const applyCustom = () => {
+            const tuning = createCustomTuning(thirdInput.value, fifthInput.value);
+            if (tuning) {
+                this.customTuning = { third: thirdInput.value, fifth: fifthInput.value };
+                this.setTuning(tuning);
+                status.textContent = '';
+            } else {
+                status.textContent = 'Enter ratios like 5/4, decimals, or cents like 386c';
+            }
+            updateFields();
+        };
+
+        tuningToggle.addEventListener('click', () => this.togglePanel('tuning-panel'));
+
+        tuningSelect.addEventListener('change', () => {
+            if (tuningSelect.value === 'custom') {
+                applyCustom();
+            } else {
+                this.setTuning(getTuning(tuningSelect.value));
+                status.textContent = '';
+                updateFields();
+            }
+        });
+        thirdInput.addEventListener('change', applyCustom);
+        fifthInput.addEventListener('change', applyCustom);
+
+        layerDown.addEventListener('click', () => {
+            this.setTuningLayer(this.tuningLayer - 1);
+            updateFields();
+        });
+        layerUp.addEventListener('click', () => {
+            this.setTuningLayer(this.tuningLayer + 1);
+            updateFields();
+        });
+
+        this.setOctaveShift(this.octaveShift);
+        this.root.getElementById('register-down').addEventListener('click', () => this.setOctaveShift(this.octaveShift - 1));
+        this.root.getElementById('register-up').addEventListener('click', () => this.setOctaveShift(this.octaveShift + 1));
+        const unfoldInput = this.root.getElementById('register-unfold');
+        unfoldInput.checked = this.unfolded;
+        unfoldInput.addEventListener('change', () => {
+            this.unfolded = unfoldInput.checked;
+        });
+
+        updateFields();
+    }
+
+    initViewPanel() {
+        const viewToggle = this.root.getElementById('view-toggle');
+        const panel = this.root.getElementById('view-panel');
+        const labelSelect = this.root.getElementById('label-mode');
+        const referenceFields = this.root.getElementById('label-reference');
+        const scaleSelect = this.root.getElementById('key-scale');
+        const customFields = this.root.getElementById('key-custom');
+        const customInput = this.root.getElementById('key-custom-set');
+        const snapInput = this.root.getElementById('key-snap');
+        const status = this.root.getElementById('key-status');
+        const schemeSelect = this.root.getElementById('color-scheme');
+        const themeSelect = this.root.getElementById('color-theme');
+        const frameStatsInput = this.root.getElementById('view-frame-stats');
+        const trailsInput = this.root.getElementById('trail-enabled');
+        const trailFadeSelect = this.root.getElementById('trail-fade');
+        const trailClearButton = this.root.getElementById('trail-clear');
+        const exportButton = this.root.getElementById('view-export');
+
+        if (!viewToggle) return;
+
+        const updateFields = () => {
+            referenceFields.classList.toggle('hidden', this.labelMode !== 'interval');
+            customFields.classList.toggle('hidden', scaleSelect.value !== 'custom');
+        };
+
+        viewToggle.addEventListener('click', () => this.togglePanel('view-panel'));
+
+        labelSelect.value = this.labelMode;
+        labelSelect.addEventListener('change', () => {
+            this.labelMode = labelSelect.value;
+            updateFields();
+        });
+
+        // The next tile pressed becomes the reference or tonic instead of playing
+        panel.querySelectorAll('[data-pick]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.pickTarget = this.pickTarget === button.dataset.pick ? null : button.dataset.pick;
+                this.updatePickButtons();
+            });
+        });
+
+        SCALES.forEach(scale => {
+            const option = document.createElement('option');
+            option.value = scale.id;
+            option.textContent = scale.name;
+            scaleSelect.insertBefore(option, scaleSelect.querySelector('option[value="custom"]'));
+        });
+
+        const applyScale = () => {
+            status.textContent = '';
+            if (scaleSelect.value === 'custom') {
+                this.customScaleText = customInput.value;
+                this.scale = createCustomScale(customInput.value);
+                if (!this.scale) status.textContent = 'Enter semitones above the tonic, like 0 2 4 7 9';
+            } else {
+                this.scale = getScale(scaleSelect.value);
+            }
+            updateFields();
+        };
+        scaleSelect.value = this.scale ? this.scale.id : '';
+        customInput.value = this.customScaleText;
+        scaleSelect.addEventListener('change', applyScale);
+        customInput.addEventListener('change', applyScale);
+
+        COLOR_SCHEMES.forEach(scheme => {
+            const option = document.createElement('option');
+            option.value = scheme.id;
+            option.textContent = scheme.name;
+            schemeSelect.appendChild(option);
+        });
+        THEMES.forEach(theme => {
+            const option = document.createElement('option');
+            option.value = theme.id;
+            option.textContent = theme.name;
+            themeSelect.appendChild(option);
+        });
+        schemeSelect.value = this.colorScheme.id;
+        themeSelect.value = this.theme.id;
+        schemeSelect.addEventListener('change', () => this.setColorScheme(schemeSelect.value));
+        themeSelect.addEventListener('change', () => this.setTheme(themeSelect.value));
+
+        frameStatsInput.addEventListener('change', () => {
+            this.root.getElementById('frame-stats').classList.toggle('hidden', !frameStatsInput.checked);
+        });
+
+        TRAIL_FADE_TIMES.forEach(fade => {
+            const option = document.createElement('option');
+            option.value = fade.seconds;
+            option.textContent = fade.name;
+            trailFadeSelect.appendChild(option);
+        });
+        trailsInput.checked = this.trails.enabled;
+        trailsInput.addEventListener('change', () => this.setTrails(trailsInput.checked));
+        trailFadeSelect.value = this.trails.fadeTime;
+        trailFadeSelect.addEventListener('change', () => {
+            this.trails.fadeTime = Number(trailFadeSelect.value);
+            this.trails.changed = true;
+        });
+        trailClearButton.addEventListener('click', () => this.trails.clear());
+        exportButton.addEventListener('click', () => this.exportImage());
+
+        snapInput.checked = this.snapToKey;
+        snapInput.addEventListener('change', () => {
+            this.snapToKey = snapInput.checked;
+        });
+
+        this.setLabelReference(this.labelReference.q, this.labelReference.r);
+        this.setTonic(this.tonic.q, this.tonic.r);
+        updateFields();
+    }
+
+    setColorScheme(id) {
+        this.colorScheme = getColorScheme(id);
+        this.recolorActiveCells();
+    }
+
+    setTheme(id) {
+        this.theme = getTheme(id);
+        (this.container || document.body).classList.toggle('theme-light', this.theme.id === 'light');
+        this.recolorActiveCells();
+    }
+
+    // Sounding cells keep the highlight they were given when played
+    recolorActiveCells() {
+        this.activeCells.forEach((cell, key) => {
+            this.cellColors.set(key, this.getCellColor(cell.q, cell.r, true, cell.octave));
+        });
+    }
+
+    // A tile picked on the grid for the View panel
+    pickCell(q, r) {
+        if (this.pickTarget === 'tonic') {
+            this.setTonic(q, r);
+        } else {
+            this.setLabelReference(q, r);
+        }
+    }
+
+    updatePickButtons() {
+        this.root.querySelectorAll('[data-pick]').forEach(button => {
+            button.classList.toggle('active', button.dataset.pick === this.pickTarget);
+        });
+    }
+
+    setLabelReference(q, r) {
+        this.labelReference = { q, r };
+        this.pickTarget = null;
+        this.updatePickButtons();
+
+        const name = this.root.getElementById('label-reference-name');
+        if (name) name.textContent = `${latticeNoteName(q, r)} (${q}, ${r})`;
+    }
+
+    setTonic(q, r) {
+        this.tonic = { q, r };
+        this.pickTarget = null;
+        this.updatePickButtons();
+
+        const name = this.root.getElementById('key-tonic-name');
+        if (name) name.textContent = `${latticeNoteName(q, r)} (${q}, ${r})`;
+    }
+
+    // Degree of a cell in the current key, or null when it is out of the
+    // scale or no scale is chosen
+    getScaleDegree(q, r) {
+        if (!this.scale) return null;
+        return scaleDegree(this.scale, q - this.tonic.q, r - this.tonic.r);
+    }
+
+    // With snapping on, an out-of-scale cell plays the nearest in-scale cell
+    // instead (closest on the lattice, then closest in pitch)
+    snapToScale(hex) {
+        if (!this.scale || !this.snapToKey || this.getScaleDegree(hex.q, hex.r) !== null) return hex;
+
+        const pitch = (q, r) => Math.log2(this.getFrequency(q, r));
+        const target = pitch(hex.q, hex.r);
+        let best = hex;
+        let bestScore = Infinity;
+        for (let dq = -2; dq <= 2; dq++) {
+            for (let dr = -2; dr <= 2; dr++) {
+                const distance = (Math.abs(dq) + Math.abs(dr) + Math.abs(dq + dr)) / 2;
+                const q = hex.q + dq;
+                const r = hex.r + dr;
+                if (distance === 0 || distance > 2 || this.getScaleDegree(q, r) === null) continue;
+                // Pitch differences are under an octave, so they only break ties
+                const score = distance + Math.abs(pitch(q, r) - target);
+                if (score < bestScore) {
+                    best = { q, r };
+                    bestScore = score;
+                }
+            }
+        }
+        return best;
+    }
+
+    // Notes already sounding keep their pitch; the shift applies to new ones
+    setOctaveShift(shift) {
+        this.octaveShift = Math.max(-3, Math.min(3, shift));
+        const value = this.root.getElementById('register-value');
+        if (value) value.textContent = this.octaveShift > 0 ? `+${this.octaveShift}` : this.octaveShift;
+    }
+
+    initTriadWalk() {
+        const walkToggle = this.root.getElementById('walk-toggle');
+        const strip = this.root.getElementById('triad-walk');
+
+        if (!walkToggle || !strip) return;
+
+        walkToggle.addEventListener('click', () => {
+            strip.classList.toggle('hidden');
+            walkToggle.classList.toggle('active', !strip.classList.contains('hidden'));
+        });
+
+        strip.querySelectorAll('[data-op]').forEach(button => {
+            button.addEventListener('click', () => this.transformTriad(button.dataset.op));
+        });
+        this.root.getElementById('walk-back').addEventListener('click', () => this.stepTriadWalk(-1));
+        this.root.getElementById('walk-forward').addEventListener('click', () => this.stepTriadWalk(1));
+        this.root.getElementById('walk-stop').addEventListener('click', () => this.releaseTriadWalk());
+
+        window.addEventListener('keydown', (e) => {
+            if (e.ctrlKey || e.metaKey || e.altKey) return;
+            if (e.target.closest && e.target.closest('input, select, textarea')) return;
+            // While playing from the keyboard the letter keys are notes
+            if (this.keymap.enabled && this.keymap.cellFor(e.code)) return;
+
+            const op = e.key.toUpperCase();
+            if (TRANSFORMATIONS[op]) {
+                this.transformTriad(op);
+            } else if (e.key === '[') {
+                this.stepTriadWalk(-1);
+            } else if (e.key === ']') {
+                this.stepTriadWalk(1);
+            } else if (e.key === 'Escape') {
+                this.releaseTriadWalk();
+            }
+        }, { signal: this.listeners.signal });
+    }
+
+    // The triad a new transformation starts from: the walk's own triad while
+    // it is sounding, else a major or minor chord being held, else C major
+    // (or whatever sits at the center of the view) as a default
+    getWalkStartTriad() {
+        if (this.triadWalk.current && this.walkCells.size > 0) {
+            return this.triadWalk.current;
+        }
+        const held = this.chords.find(chord => chord.shape.id === 'major' || chord.shape.id === 'minor');
+        if (held) {
+            return { q: held.root.q, r: held.root.r, type: held.shape.id };
+        }
+        const center = this.getCenterHex();
+        return { q: center.q, r: center.r, type: 'major' };
+    }
+
+    transformTriad(op) {
+        const start = this.getWalkStartTriad();
+        if (start !== this.triadWalk.current) {
+            this.triadWalk.start(start);
+        }
+        this.showTriad(this.triadWalk.apply(op));
+    }
+
+    stepTriadWalk(direction) {
+        const triad = direction < 0 ? this.triadWalk.back() : this.triadWalk.forward();
+        if (triad) this.showTriad(triad);
+    }
+
+    // Sound a triad of the walk, keeping common tones from the previous one
+    showTriad(triad) {
+        const cells = triadCells(triad);
+        const keys = new Set(cells.map(cell => `${cell.q},${cell.r}`));
+
+        this.walkCells.forEach(key => {
+            if (!keys.has(key)) {
+                this.stopTone(key);
+                this.walkCells.delete(key);
+            }
+        });
+        cells.forEach(cell => {
+            const key = `${cell.q},${cell.r}`;
+            // Leave cells that are already held some other way alone
+            if (!this.walkCells.has(key) && !this.activeCells.has(key)) {
+                this.playTone(cell.q, cell.r);
+                this.walkCells.add(key);
+            }
+        });
+
+        this.followCells(cells);
+        this.updateWalkHistory();
+    }
+
+    releaseTriadWalk() {
+        this.walkCells.forEach(key => this.stopTone(key));
+        this.walkCells.clear();
+    }
+
+    // Pan to center the cells if any of them is off screen, or regardless
+    followCells(cells, always = false) {
+        const margin = this.baseHexSize * this.camera.zoom;
+        const offScreen = cells.some(cell => {
+            const p = this.cellToScreen(cell.q, cell.r);
+            return p.x < margin || p.x > this.width - margin || p.y < margin || p.y > this.height - margin;
+        });
+        if (!offScreen && !always) return;
+
+        const positions = cells.map(cell => this.axialToPixel(cell.q, cell.r));
+        this.flyTo(
+            positions.reduce((sum, p) => sum + p.x, 0) / positions.length,
+            positions.reduce((sum, p) => sum + p.y, 0) / positions.length
+        );
+    }
+
+    // Glide the camera to centre on a world position, or on a cell
+    flyTo(x, y) {
+        this.cameraMotion.flyTo(this.camera, -x, -y, performance.now());
+    }
+
+    flyToCell(q, r) {
+        const p = this.axialToPixel(q, r);
+        this.flyTo(p.x, p.y);
+    }
+
+    centerOnCell(q, r) {
+        const p = this.axialToPixel(q, r);
+        this.cameraMotion.stop();
+        this.camera.x = -p.x;
+        this.camera.y = -p.y;
+    }
+
+    updateWalkHistory() {
+        const history = this.root.getElementById('walk-history');
+        if (!history) return;
+
+        history.innerHTML = '';
+        this.triadWalk.steps.forEach((step, index) => {
+            if (step.op) {
+                const op = document.createElement('span');
+                op.className = 'walk-op';
+                op.textContent = step.op;
+                op.title = TRANSFORMATIONS[step.op].name;
+                history.appendChild(op);
+            }
+            const chord = document.createElement('button');
+            chord.className = 'walk-chord';
+            chord.classList.toggle('active', index === this.triadWalk.index);
+            chord.textContent = triadName(step.triad);
+            chord.addEventListener('click', () => {
+                this.triadWalk.goTo(index);
+                this.showTriad(step.triad);
+            });
+            history.appendChild(chord);
+        });
+
+        const active = history.querySelector('.active');
+        if (active) active.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+    }
+
+    initRecorderPanel() {
+        const recordToggle = this.root.getElementById('record-toggle');
+        const recordButton = this.root.getElementById('record-button');
+        const playButton = this.root.getElementById('record-play');
+        const saveButton = this.root.getElementById('record-save');
+        const loadInput = this.root.getElementById('record-load');
+        const importInput = this.root.getElementById('record-import-midi');
+        const followInput = this.root.getElementById('record-follow');
+        const chordsButton = this.root.getElementById('record-save-chords');
+        const exportButton = this.root.getElementById('record-export-midi');
+        const wavButton = this.root.getElementById('record-export-wav');
+        const info = this.root.getElementById('record-info');
+        const status = this.root.getElementById('record-status');
+
+        if (!recordToggle) return;
+
+        const update = () => {
+            const take = this.recorder.take;
+            recordButton.textContent = this.recorder.recording ? '■ Stop' : '● Record';
+            playButton.textContent = this.recorder.playing ? '■ Stop' : '▶ Play';
+            recordToggle.classList.toggle('active', this.recorder.recording || this.recorder.playing);
+            [playButton, saveButton, exportButton, wavButton].forEach(button => {
+                button.disabled = !take || this.recorder.recording;
+            });
+            if (this.recorder.recording) {
+                info.textContent = 'Recording…';
+            } else if (take) {
+                const notes = take.events.filter(event => event.type === 'on').length;
+                info.textContent = `${notes} notes, ${take.duration.toFixed(1)} s`;
+            } else {
+                info.textContent = 'No take yet';
+            }
+            this.updateChordList();
+        };
+
+        recordToggle.addEventListener('click', () => this.togglePanel('record-panel'));
+
+        recordButton.addEventListener('click', () => {
+            if (this.recorder.recording) {
+                this.recorder.stop();
+            } else {
+                this.recorder.start(this.tuning.id);
+            }
+            status.textContent = '';
+            update();
+        });
+
+        playButton.addEventListener('click', () => {
+            if (this.recorder.playing) {
+                this.recorder.stopPlayback();
+            } else {
+                this.playTake(update);
+            }
+            update();
+        });
+
+        saveButton.addEventListener('click', () => {
+            this.downloadFile('tonnetz-take.json', this.recorder.toJSON(), 'application/json');
+        });
+
+        exportButton.addEventListener('click', () => {
+            this.downloadFile('tonnetz-take.mid', this.recorder.toMidiFile(), 'audio/midi');
+        });
+
+        wavButton.addEventListener('click', () => {
+            status.textContent = 'Rendering…';
+            renderSequence(takeToSequence(this.recorder.take), {
+                tuning: this.tuning,
+                layer: this.tuningLayer,
+                patch: this.patch
+            }).then(buffer => {
+                this.downloadFile('tonnetz-take.wav', encodeWav(buffer), 'audio/wav');
+                status.textContent = '';
+            }).catch(err => {
+                status.textContent = err.message;
+            });
+        });
+
+        loadInput.addEventListener('change', () => {
+            const file = loadInput.files[0];
+            if (!file) return;
+            file.text().then(text => {
+                const take = this.recorder.load(text);
+                status.textContent = take.tuning !== this.tuning.id
+                    ? `Recorded in ${getTuning(take.tuning).name}; plays in the current tuning`
+                    : '';
+                update();
+            }).catch(err => {
+                status.textContent = err.message;
+            });
+            loadInput.value = '';
+        });
+
+        importInput.addEventListener('change', () => {
+            const file = importInput.files[0];
+            if (!file) return;
+            file.arrayBuffer().then(buffer => {
+                this.recorder.loadMidiFile(buffer, this.tuning.id);
+                status.textContent = '';
+                update();
+            }).catch(err => {
+                status.textContent = err.message;
+            });
+            importInput.value = '';
+        });
+
+        followInput.checked = this.followPlayback;
+        followInput.addEventListener('change', () => {
+            this.followPlayback = followInput.checked;
+        });
+
+        chordsButton.addEventListener('click', () => {
+            this.downloadFile('tonnetz-chords.json', JSON.stringify(this.recorder.take.chords, null, 2), 'application/json');
+        });
+
+        update();
+    }
+
+    // The chords of an imported take, with their cells; clicking one glides
+    // the view to it
+    updateChordList() {
+        const section = this.root.getElementById('record-chords-section');
+        const list = this.root.getElementById('record-chords');
+        if (!section) return;
+
+        const take = this.recorder.take;
+        const chords = take && take.chords ? take.chords : [];
+        section.classList.toggle('hidden', chords.length === 0);
+        list.innerHTML = '';
+        chords.forEach((chord, index) => {
+            const row = document.createElement('div');
+            const cells = chord.cells.map(cell => `${cell.name} (${cell.q},${cell.r})`).join(' ');
+            row.textContent = `${chord.t.toFixed(1).padStart(5)}  ${chord.name}  ${cells}`;
+            row.dataset.index = index;
+            row.addEventListener('click', () => this.followCells(chord.cells, true));
+            list.appendChild(row);
+        });
+    }
+
+    // Mark the chord of an imported take that sounds at time t
+    showPlaybackChord(t) {
+        const list = this.root.getElementById('record-chords');
+        const chords = this.recorder.take.chords;
+        if (!list || !chords) return;
+
+        let current = -1;
+        chords.forEach((chord, index) => {
+            if (chord.t <= t + 0.001) current = index;
+        });
+        Array.from(list.children).forEach((row, index) => {
+            const active = index === current;
+            if (active && !row.classList.contains('current')) row.scrollIntoView({ block: 'nearest' });
+            row.classList.toggle('current', active);
+        });
+    }
+
+    // Glide toward the centre of gravity of the cells a take is sounding,
+    // moving only part of the way each time so the view drifts with the
+    // harmony instead of jumping from chord to chord
+    followHarmony() {
+        if (this.playbackCells.size === 0) return;
+        const positions = Array.from(this.playbackCells).map(key => {
+            const [q, r] = key.split(',').map(Number);
+            return this.axialToPixel(q, r);
+        });
+        const x = positions.reduce((sum, p) => sum + p.x, 0) / positions.length;
+        const y = positions.reduce((sum, p) => sum + p.y, 0) / positions.length;
+
+        const centre = this.harmonicCentre || { x: -this.camera.x, y: -this.camera.y };
+        this.harmonicCentre = { x: centre.x + (x - centre.x) * 0.5, y: centre.y + (y - centre.y) * 0.5 };
+        this.flyTo(this.harmonicCentre.x, this.harmonicCentre.y);
+    }
+
+    // Play the recorded take back on the grid, lighting cells as it goes
+    playTake(onEnd) {
+        this.recorder.play(event => {
+            const key = `${event.q},${event.r}`;
+            if (event.type === 'on') {
+                // Keep the octave the note was recorded in
+                const octave = Math.round(Math.log2(event.frequency / this.getFrequency(event.q, event.r)));
+                this.playTone(event.q, event.r, { octave });
+                this.playbackCells.add(key);
+                this.playbackMoved = true;
+                this.showPlaybackChord(event.t);
+            } else {
+                this.stopTone(key);
+                this.playbackCells.delete(key);
+            }
+        }, () => {
+            this.playbackCells.forEach(key => this.stopTone(key));
+            this.playbackCells.clear();
+            this.harmonicCentre = null;
+            this.showPlaybackChord(-1);
+            if (onEnd) onEnd();
+        });
+    }
+
+    initSequencerPanel() {
+        const toggle = this.root.getElementById('sequencer-toggle');
+        const playButton = this.root.getElementById('sequencer-play');
+        const clearButton = this.root.getElementById('sequencer-clear');
+        const tempoInput = this.root.getElementById('sequencer-tempo');
+        const swingInput = this.root.getElementById('sequencer-swing');
+        const gateInput = this.root.getElementById('sequencer-gate');
+        const lengthSelect = this.root.getElementById('sequencer-length');
+        const stepsDiv = this.root.getElementById('sequencer-steps');
+        const arpEnabled = this.root.getElementById('arp-enabled');
+        const arpOrder = this.root.getElementById('arp-order');
+        const arpRate = this.root.getElementById('arp-rate');
+        const arpGate = this.root.getElementById('arp-gate');
+        const arpSync = this.root.getElementById('arp-sync');
+        const arpTempo = this.root.getElementById('arp-tempo');
+
+        if (!toggle) return;
+
+        toggle.addEventListener('click', () => this.togglePanel('sequencer-panel'));
+
+        // A range input and the output next to it, showing its value as a percentage
+        const percentSlider = (input, value, onInput) => {
+            const output = input.nextElementSibling;
+            const show = () => {
+                output.textContent = `${Math.round(input.value * 100)}%`;
+            };
+            input.value = value;
+            show();
+            input.addEventListener('input', () => {
+                onInput(Number(input.value));
+                show();
+            });
+        };
+
+        playButton.addEventListener('click', () => this.setSequencerPlaying(!this.sequencer.playing));
+        clearButton.addEventListener('click', () => {
+            if (this.sequencerEditStep !== null) {
+                this.sequencer.clearStep(this.sequencerEditStep);
+            } else {
+                this.sequencer.clear();
+            }
+            this.updateSequencerPanel();
+        });
+
+        tempoInput.value = this.clock.tempo;
+        tempoInput.addEventListener('change', () => {
+            const tempo = Number(tempoInput.value);
+            if (tempo >= 30 && tempo <= 300) this.clock.tempo = tempo;
+            tempoInput.value = this.clock.tempo;
+        });
+        percentSlider(swingInput, this.clock.swing, value => {
+            this.clock.swing = value;
+        });
+        percentSlider(gateInput, this.sequencer.gate, value => {
+            this.sequencer.gate = value;
+        });
+
+        SEQUENCER_LENGTHS.forEach(length => {
+            const option = document.createElement('option');
+            option.value = length;
+            option.textContent = length;
+            lengthSelect.appendChild(option);
+        });
+        lengthSelect.value = this.sequencer.length;
+        lengthSelect.addEventListener('change', () => {
+            this.sequencer.setLength(Number(lengthSelect.value));
+            if (this.sequencerEditStep >= this.sequencer.length) this.sequencerEditStep = null;
+            this.updateSequencerPanel();
+        });
+
+        // A step button picks the step to edit; pressing it again stops editing
+        stepsDiv.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (!button) return;
+            const index = Number(button.dataset.step);
+            this.sequencerEditStep = this.sequencerEditStep === index ? null : index;
+            this.updateSequencerPanel();
+        });
+
+        ARP_ORDERS.forEach(order => {
+            const option = document.createElement('option');
+            option.value = order.id;
+            option.textContent = order.name;
+            arpOrder.appendChild(option);
+        });
+        ARP_RATES.forEach(rate => {
+            const option = document.createElement('option');
+            option.value = rate.steps;
+            option.textContent = rate.name;
+            arpRate.appendChild(option);
+        });
+
+        arpEnabled.checked = this.arpeggiator.enabled;
+        arpEnabled.addEventListener('change', () => this.setArpeggiator(arpEnabled.checked));
+        arpOrder.value = this.arpeggiator.order;
+        arpOrder.addEventListener('change', () => {
+            this.arpeggiator.order = arpOrder.value;
+        });
+        arpRate.value = this.arpeggiator.rate;
+        arpRate.addEventListener('change', () => {
+            this.arpeggiator.rate = Number(arpRate.value);
+        });
+        percentSlider(arpGate, this.arpeggiator.gate, value => {
+            this.arpeggiator.gate = value;
+        });
+        arpSync.checked = this.arpeggiator.sync;
+        arpSync.addEventListener('change', () => {
+            this.arpeggiator.sync = arpSync.checked;
+            this.updateClocks();
+            this.updateSequencerPanel();
+        });
+        arpTempo.value = this.arpeggiator.tempo;
+        arpTempo.addEventListener('change', () => {
+            const tempo = Number(arpTempo.value);
+            if (tempo >= 30 && tempo <= 300) this.arpeggiator.tempo = tempo;
+            arpTempo.value = this.arpeggiator.tempo;
+            this.arpClock.tempo = this.arpeggiator.tempo;
+        });
+
+        this.updateSequencerPanel();
+    }
+
+    // Step buttons, showing each step's notes and which step is playing and
+    // which is being edited
+    updateSequencerPanel() {
+        const toggle = this.root.getElementById('sequencer-toggle');
+        const stepsDiv = this.root.getElementById('sequencer-steps');
+        if (!toggle) return;
+
+        toggle.classList.toggle('active', this.sequencer.playing || this.arpeggiator.enabled);
+        this.root.getElementById('sequencer-play').textContent = this.sequencer.playing ? '■ Stop' : '▶ Play';
+        this.root.getElementById('sequencer-clear').textContent =
+            this.sequencerEditStep !== null ? 'Clear step' : 'Clear all';
+        this.root.getElementById('arp-tempo').disabled = this.arpeggiator.sync;
+        this.root.getElementById('arp-enabled').checked = this.arpeggiator.enabled;
+
+        while (stepsDiv.children.length < this.sequencer.length) {
+            const button = document.createElement('button');
+            button.dataset.step = stepsDiv.children.length;
+            stepsDiv.appendChild(button);
+        }
+        while (stepsDiv.children.length > this.sequencer.length) stepsDiv.lastChild.remove();
+
+        Array.from(stepsDiv.children).forEach((button, index) => {
+            const cells = this.sequencer.cellsAt(index);
+            const names = cells.map(cell => latticeNoteName(cell.q, cell.r)).join(' ');
+            button.textContent = cells.length > 0 ? names : index + 1;
+            button.title = `Step ${index + 1}${names ? `: ${names}` : ''}`;
+            button.classList.toggle('filled', cells.length > 0);
+            button.classList.toggle('active', index === this.sequencerEditStep);
+            button.classList.toggle('playing', this.sequencer.playing && index === this.sequencer.position);
+        });
+    }
+
+    // Run the clocks that something is following: the sequencer's while it
+    // plays or the synced arpeggiator needs it, the arpeggiator's own while
+    // it isn't synced
+    updateClocks() {
+        const arp = this.arpeggiator;
+        this.arpClock.tempo = arp.tempo;
+        if (this.sequencer.playing || (arp.enabled && arp.sync)) {
+            this.clock.start();
+        } else {
+            this.clock.stop();
+        }
+        if (arp.enabled && !arp.sync) {
+            this.arpClock.start();
+        } else {
+            this.arpClock.stop();
+        }
+    }
+
+    setSequencerPlaying(playing) {
+        if (playing === this.sequencer.playing) return;
+        this.sequencer.playing = playing;
+        this.sequencer.position = -1;
+        // Restart the clock so the pattern starts on its first step, with the
+        // swing the right way round and the arpeggiator in phase
+        this.clock.stop();
+        if (!playing) {
+            Array.from(this.sequencerCells.keys()).forEach(key => this.stopTone(key));
+        }
+        this.updateClocks();
+        this.updateSequencerPanel();
+    }
+
+    // One tick of the sequencer: sound the next step's cells
+    playSequencerStep(length) {
+        this.sequencer.advance().forEach(cell => this.playSequencedCell(cell.q, cell.r, length * this.sequencer.gate));
+        this.updateSequencerPanel();
+    }
+
+    // Sound a cell for the sequencer for duration ms. A cell the player is
+    // holding or has latched is left alone, so the step can't end it.
+    playSequencedCell(q, r, duration) {
+        const key = `${q},${r}`;
+        if (this.activeCells.has(key) && !this.sequencerCells.has(key)) return;
+        this.playTone(q, r, { sequenced: true });
+        const token = {};
+        this.sequencerCells.set(key, token);
+        setTimeout(() => {
+            if (this.sequencerCells.get(key) === token) this.stopTone(key);
+        }, duration);
+    }
+
+    setArpeggiator(enabled) {
+        this.arpeggiator.enabled = enabled;
+        this.arpeggiator.reset();
+        if (!enabled) this.stopArpNote();
+
+        // Held cells go quiet for the arpeggiator, or sound again without it
+        Array.from(this.activeCells.entries()).forEach(([key, cell]) => {
+            if (this.sequencerCells.has(key)) return;
+            const latched = this.latched.has(key);
+            const sustained = this.sustained.has(key);
+            this.playTone(cell.q, cell.r, { octave: cell.octave });
+            if (latched) this.latched.add(key);
+            if (sustained) this.sustained.add(key);
+        });
+        this.updateClocks();
+        this.updateSequencerPanel();
+    }
+
+    // One tick of the arpeggiator's clock: every rate steps, end the last
+    // note and play the next of the cells being held
+    playArpStep(step, length) {
+        if (step % this.arpeggiator.rate !== 0) return;
+        this.stopArpNote();
+
+        const held = Array.from(this.activeCells.entries())
+            .filter(([key]) => !this.sequencerCells.has(key))
+            .map(([key, cell]) => ({ key, q: cell.q, r: cell.r, octave: cell.octave, frequency: cell.frequency }));
+        const cell = this.arpeggiator.next(held);
+        if (!cell) return;
+
+        // The arpeggiator plays one note at a time, under its own pool key
+        const note = { ...cell, voice: this.startVoice('arp', cell.q, cell.r, cell.octave, cell.frequency) };
+        this.arpNote = note;
+        this.recorder.record('on', note.q, note.r, note.frequency);
+        setTimeout(() => {
+            if (this.arpNote === note) this.stopArpNote();
+        }, length * this.arpeggiator.rate * this.arpeggiator.gate);
+    }
+
+    stopArpNote() {
+        const note = this.arpNote;
+        if (!note) return;
+        this.arpNote = null;
+        this.stopVoice('arp', note.voice);
+        this.recorder.record('off', note.q, note.r, note.frequency);
+    }
+
+    downloadFile(filename, data, type) {
+        const url = URL.createObjectURL(new Blob([data], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // Cells currently sounding, as { q, r }
+    getActiveCellList() {
+        return Array.from(this.activeCells.values()).map(cell => ({ q: cell.q, r: cell.r }));
+    }
+
+    // The cell under the middle of the screen
+    getCenterHex() {
+        return this.pixelToAxial(-this.camera.x, -this.camera.y);
+    }
+
+    handleMidiNoteOn(note) {
+        // Retriggered note: release the old placement first
+        this.handleMidiNoteOff(note);
+
+        // Cells on a ji-7 layer other than 0 sound sevenths away from their
+        // place on the plane, so look for the pitch class that lands on this one
+        const layerOffset = this.tuning.tetSemitones(0, 0, this.tuningLayer);
+        const hex = this.speller.spell(note - layerOffset, this.getActiveCellList(), this.getCenterHex());
+        const key = `${hex.q},${hex.r}`;
+
+        // Another held note (e.g. an octave) may already be on this cell
+        const alreadyHeld = Array.from(this.midiInputNotes.values()).includes(key);
+        this.midiInputNotes.set(note, key);
+        if (!alreadyHeld) {
+            // Sound the cell in the octave that was played
+            const played = 440 * Math.pow(2, (note - 69) / 12);
+            const octave = Math.round(Math.log2(played / this.getFrequency(hex.q, hex.r)));
+            this.playTone(hex.q, hex.r, { silent: !this.midiInputVoicing, octave });
+        }
+    }
+
+    handleMidiNoteOff(note) {
+        const key = this.midiInputNotes.get(note);
+        if (key === undefined) return;
+        this.midiInputNotes.delete(note);
+
+        const stillHeld = Array.from(this.midiInputNotes.values()).includes(key);
+        if (!stillHeld) {
+            this.releaseCell(key);
+        }
+    }
+
+    initPlayControls() {
+        const latchToggle = this.root.getElementById('latch-toggle');
+        const sustainToggle = this.root.getElementById('sustain-toggle');
+        const releaseAllButton = this.root.getElementById('release-all');
+
+        if (!latchToggle) return;
+
+        latchToggle.classList.toggle('active', this.latchMode);
+        latchToggle.addEventListener('click', () => {
+            this.latchMode = !this.latchMode;
+            latchToggle.classList.toggle('active', this.latchMode);
+        });
+        sustainToggle.addEventListener('click', () => {
+            this.setSustain('button', !this.sustainSources.has('button'));
+        });
+        releaseAllButton.addEventListener('click', () => this.releaseAll());
+
+        // Spacebar works like a sustain pedal while held, except where Space
+        // already does something: typing, or pressing a focused button
+        const isTyping = (e) => e.target.closest && e.target.closest('input, select, textarea, [contenteditable]');
+        const isSpaceTarget = (e) => e.target.closest && e.target.closest('input, select, textarea, button, [contenteditable]');
+        window.addEventListener('keydown', (e) => {
+            if (e.code !== 'Space' || isSpaceTarget(e)) return;
+            e.preventDefault();
+            if (!e.repeat) this.setSustain('key', true);
+        }, { signal: this.listeners.signal });
+        window.addEventListener('keyup', (e) => {
+            if (e.code !== 'Space' || isSpaceTarget(e)) return;
+            e.preventDefault();
+            this.setSustain('key', false);
+        }, { signal: this.listeners.signal });
+        window.addEventListener('blur', () => this.setSustain('key', false), { signal: this.listeners.signal });
+
+        // Page Up / Page Down shift the register by an octave, and Home
+        // flies back to the tonic
+        window.addEventListener('keydown', (e) => {
+            if (isTyping(e)) return;
+            if (e.code === 'PageUp' || e.code === 'PageDown') {
+                e.preventDefault();
+                this.setOctaveShift(this.octaveShift + (e.code === 'PageUp' ? 1 : -1));
+            } else if (e.code === 'Home') {
+                e.preventDefault();
+                this.flyToCell(this.tonic.q, this.tonic.r);
+            }
+        }, { signal: this.listeners.signal });
+
+        // MIDI CC64, the sustain pedal
+        this.midiInput.onControlChange = (controller, value) => {
+            if (controller === 64) this.setSustain('midi', value >= 64);
+        };
+    }
+
+    initKeyboardPlay() {
+        const keysToggle = this.root.getElementById('keys-toggle');
+
+        if (!this.standalone) return;
+
+        const setEnabled = (enabled) => {
+            this.keymap.enabled = enabled;
+            if (keysToggle) keysToggle.classList.toggle('active', enabled);
+            if (enabled) {
+                this.followCells(this.keymap.cells());
+            } else {
+                this.releaseKeyboardNotes();
+            }
+        };
+
+        if (keysToggle) {
+            keysToggle.addEventListener('click', () => setEnabled(!this.keymap.enabled));
+        }
+        this.keymap.loadLayoutLabels().then(() => this.invalidate());
+
+        // Arrows move the anchor by a fifth (left/right) or a major third
+        // (up/down); with Shift they pan the view instead
+        const arrows = {
+            ArrowLeft: { dq: 0, dr: -1, dx: 1, dy: 0 },
+            ArrowRight: { dq: 0, dr: 1, dx: -1, dy: 0 },
+            ArrowUp: { dq: 1, dr: 0, dx: 0, dy: 1 },
+            ArrowDown: { dq: -1, dr: 0, dx: 0, dy: -1 }
+        };
+
+        window.addEventListener('keydown', (e) => {
+            if (e.ctrlKey || e.metaKey || e.altKey) return;
+            if (e.target.closest && e.target.closest('input, select, textarea')) return;
+
+            if (e.code === 'Backquote') {
+                e.preventDefault();
+                setEnabled(!this.keymap.enabled);
+                return;
+            }
+            if (!this.keymap.enabled) return;
+
+            const arrow = arrows[e.code];
+            if (arrow) {
+                e.preventDefault();
+                if (e.shiftKey) {
+                    const step = this.baseHexSize * 2;
+                    this.camera.x += arrow.dx * step;
+                    this.camera.y += arrow.dy * step;
+                } else {
+                    this.keymap.moveAnchor(arrow.dq, arrow.dr);
+                    this.followCells(this.keymap.cells());
+                }
+                return;
+            }
 
-        // Set canvas internal resolution to match device pixel ratio
-        this.canvas.width = this.width * dpr;
-        this.canvas.height = this.height * dpr;
+            const mapped = this.keymap.cellFor(e.code);
+            if (!mapped) return;
+            const cell = this.snapToScale(mapped);
+            e.preventDefault();
+            if (e.repeat || this.keyboardNotes.has(e.code)) return;
+            this.keyboardNotes.set(e.code, `${cell.q},${cell.r}`);
+            // Shift plays an octave up
+            this.pressCell(cell.q, cell.r, e.shiftKey ? 1 : 0);
+        }, { signal: this.listeners.signal });
+
+        window.addEventListener('keyup', (e) => {
+            const key = this.keyboardNotes.get(e.code);
+            if (key === undefined) return;
+            this.keyboardNotes.delete(e.code);
+            // Another key may hold the same cell after the anchor moved
+            if (!Array.from(this.keyboardNotes.values()).includes(key)) {
+                this.releaseCell(key);
+            }
+        }, { signal: this.listeners.signal });
 
-        // Scale context to account for device pixel ratio
-        this.ctx.scale(dpr, dpr);
+        // Keyups are lost while the window is in the background
+        window.addEventListener('blur', () => this.releaseKeyboardNotes(), { signal: this.listeners.signal });
+    }
 
-        // Update joystick position
-        this.joystick.baseY = this.height - 100;
+    releaseKeyboardNotes() {
+        const keys = new Set(this.keyboardNotes.values());
+        this.keyboardNotes.clear();
+        keys.forEach(key => this.releaseCell(key));
     }
 
-    setupEventListeners() {
-        window.addEventListener('resize', () => this.resize());
+    // Key labels on the cells the keyboard plays, with the anchor ringed
+    drawKeymap() {
+        const size = this.baseHexSize * this.camera.zoom;
+        const radius = Math.max(6, 9 * this.camera.zoom);
 
-        // Mouse events
-        this.canvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
-        this.canvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
-        this.canvas.addEventListener('mouseup', (e) => this.handleMouseUp(e));
-        this.canvas.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
+        this.ctx.save();
+        this.ctx.font = `bold ${Math.floor(radius * 1.1)}px sans-serif`;
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
 
-        // Touch events
-        this.canvas.addEventListener('touchstart', (e) => this.handleTouchStart(e), { passive: false });
-        this.canvas.addEventListener('touchmove', (e) => this.handleTouchMove(e), { passive: false });
-        this.canvas.addEventListener('touchend', (e) => this.handleTouchEnd(e), { passive: false });
-        this.canvas.addEventListener('touchcancel', (e) => this.handleTouchEnd(e), { passive: false });
+        this.keymap.cells().forEach(cell => {
+            const p = this.cellToScreen(cell.q, cell.r);
+            if (p.x < -size || p.x > this.width + size || p.y < -size || p.y > this.height + size) return;
 
-        // Zoom button events
-        const zoomInBtn = document.getElementById('zoom-in');
-        const zoomOutBtn = document.getElementById('zoom-out');
+            const x = p.x;
+            const y = p.y - size * 0.55;
+            this.ctx.fillStyle = this.keyboardNotes.has(cell.code) ? 'rgba(77, 208, 225, 0.9)' : 'rgba(0, 0, 0, 0.6)';
+            this.ctx.beginPath();
+            this.ctx.arc(x, y, radius, 0, Math.PI * 2);
+            this.ctx.fill();
+            this.ctx.fillStyle = '#ffffff';
+            this.ctx.fillText(cell.label, x, y);
+        });
+
+        const anchor = this.cellToScreen(this.keymap.anchor.q, this.keymap.anchor.r);
+        this.traceHexagon(anchor.x, anchor.y, size - 4);
+        this.ctx.strokeStyle = 'rgba(77, 208, 225, 0.9)';
+        this.ctx.lineWidth = 2;
+        this.ctx.stroke();
 
-        if (zoomInBtn) {
-            zoomInBtn.addEventListener('click', () => this.zoomIn());
-            zoomInBtn.addEventListener('touchstart', (e) => {
-                e.preventDefault();
-                this.zoomIn();
-            });
-        }
+        this.ctx.restore();
+    }
 
-        if (zoomOutBtn) {
-            zoomOutBtn.addEventListener('click', () => this.zoomOut());
-            zoomOutBtn.addEventListener('touchstart', (e) => {
-                e.preventDefault();
-                this.zoomOut();
-            });
+    // A cell pressed by the player, octave octaves away from the current
+    // register. In latch mode a tap toggles it instead.
+    pressCell(q, r, octave = 0) {
+        const key = `${q},${r}`;
+        if (this.pickTarget) {
+            this.pickCell(q, r);
+            return;
+        }
+        // Drawing a chord shape: the tap adds the cell to it or takes it out
+        if (this.stampDrawing) {
+            const found = this.stampDrawing.findIndex(cell => cell.q === q && cell.r === r);
+            if (found >= 0) {
+                this.stampDrawing.splice(found, 1);
+            } else if (this.stampDrawing.length < MAX_STAMP_CELLS) {
+                this.stampDrawing.push({ q, r });
+            }
+            return;
         }
+        // Editing a sequencer step: the tap adds the cell to it, sounding it
+        // briefly, or takes it out
+        if (this.sequencerEditStep !== null) {
+            if (this.sequencer.toggleCell(this.sequencerEditStep, q, r)) this.playSequencedCell(q, r, 300);
+            this.updateSequencerPanel();
+            return;
+        }
+        if (this.latchMode && this.latched.has(key)) {
+            this.stopTone(key);
+            return;
+        }
+        this.playTone(q, r, { octave });
+        if (this.latchMode) this.latched.add(key);
+    }
 
-        // Sound toggle button events
-        const soundToggle = document.getElementById('sound-toggle');
-        if (soundToggle) {
-            soundToggle.addEventListener('click', () => this.toggleSound());
-            soundToggle.addEventListener('touchstart', (e) => {
-                e.preventDefault();
-                this.toggleSound();
-            });
+    // Whether a tap picks a cell, draws a chord shape or edits a sequencer
+    // step instead of playing
+    get tapsEdit() {
+        return this.pickTarget !== null || this.stampDrawing !== null || this.sequencerEditStep !== null;
+    }
+
+    // The player let go of a cell. Latched cells keep sounding, and with
+    // sustain down the cell rings on until it comes up. Cells the sequencer
+    // is sounding are its to end.
+    releaseCell(key) {
+        if (!this.activeCells.has(key) || this.latched.has(key) || this.sequencerCells.has(key)) return;
+        if (this.sustainSources.size > 0) {
+            this.sustained.add(key);
+        } else {
+            this.stopTone(key);
         }
     }
 
-    toggleSound() {
-        this.soundType = this.soundType === 'violin' ? 'sine' : 'violin';
-        const soundToggle = document.getElementById('sound-toggle');
-        if (soundToggle) {
-            if (this.soundType === 'violin') {
-                soundToggle.textContent = '🎻';
-                soundToggle.classList.add('active');
-            } else {
-                soundToggle.textContent = '~';
-                soundToggle.classList.remove('active');
-            }
+    setSustain(source, on) {
+        if (on) {
+            this.sustainSources.add(source);
+        } else {
+            this.sustainSources.delete(source);
+        }
+        if (this.sustainSources.size === 0) {
+            Array.from(this.sustained).forEach(key => this.stopTone(key));
         }
+
+        const sustainToggle = this.root.getElementById('sustain-toggle');
+        if (sustainToggle) sustainToggle.classList.toggle('active', this.sustainSources.size > 0);
+    }
+
+    // Panic: silence everything, whatever is holding it
+    releaseAll() {
+        this.recorder.stopPlayback();
+        this.setSequencerPlaying(false);
+        this.stopArpNote();
+        this.walkCells.clear();
+        this.midiInputNotes.clear();
+        Array.from(this.activeCells.keys()).forEach(key => this.stopTone(key));
+        this.midiOutput.allNotesOff();
+    }
+
+    clampZoom(zoom) {
+        return Math.max(this.zoomLimits.min, Math.min(this.zoomLimits.max, zoom));
     }
 
     zoomIn() {
-        const newZoom = Math.min(5, this.camera.zoom * 1.2);
-        this.camera.zoom = newZoom;
+        this.camera.zoom = this.clampZoom(this.camera.zoom * 1.2);
     }
 
     zoomOut() {
-        const newZoom = Math.max(0.5, this.camera.zoom * 0.8);
-        this.camera.zoom = newZoom;
+        this.camera.zoom = this.clampZoom(this.camera.zoom * 0.8);
+    }
+
+    // Zoom to a new level keeping the world point under (screenX, screenY)
+    // where it is
+    zoomAt(zoom, screenX, screenY) {
+        const before = this.screenToWorld(screenX, screenY);
+        this.camera.zoom = this.clampZoom(zoom);
+        const after = this.screenToWorld(screenX, screenY);
+        this.camera.x += before.x - after.x;
+        this.camera.y += before.y - after.y;
     }
 
     // Hexagon math (flat-top orientation)
@@ -321,155 +2381,272 @@ class HexGrid {
         };
     }
 
-    // Draw a hexagon
-    drawHexagon(x, y, q, r, highlight = false) {
+    // Draw one tile centred on (x, y) at a zoom, onto the grid or into a
+    // sprite (see tiles.js)
+    drawHexagon(ctx, x, y, q, r, zoom, highlight = false) {
         const key = `${q},${r}`;
         const activeColor = this.cellColors.get(key);
 
-        // Calculate base color from frequency
-        const pitchInfo = this.getPitchInfo(q, r);
-        const baseColor = pitchInfo.color;
+        // A sounding cell shows the octave it is actually playing in
+        const cell = this.activeCells.get(key);
+        const tile = this.getTileData(q, r, cell ? cell.octave : 0);
+        const color = activeColor || tile.color;
 
         // Scale hex size with zoom
-        const scaledSize = this.baseHexSize * this.camera.zoom - 1;
-
-        this.ctx.save();
-        this.ctx.beginPath();
-
-        // Flat-top hexagon (rotated 90 degrees from pointy-top)
-        for (let i = 0; i < 6; i++) {
-            const angle = Math.PI / 3 * i + Math.PI / 6; // Offset by 30 degrees for flat-top
-            const hx = x + scaledSize * Math.cos(angle);
-            const hy = y + scaledSize * Math.sin(angle);
+        const scaledSize = this.baseHexSize * zoom - 1;
 
-            if (i === 0) {
-                this.ctx.moveTo(hx, hy);
-            } else {
-                this.ctx.lineTo(hx, hy);
-            }
-        }
+        ctx.save();
+        this.traceHexagon(x, y, scaledSize, ctx);
 
-        this.ctx.closePath();
+        // Fill: brighter while sounding
+        ctx.fillStyle = color.fill;
+        ctx.fill();
 
-        // Fill
-        if (activeColor) {
-            // Use brighter color when active
-            this.ctx.fillStyle = activeColor;
-            this.ctx.fill();
-        } else {
-            // Use base color when inactive
-            this.ctx.fillStyle = baseColor;
-            this.ctx.fill();
+        // With a key chosen, cells outside the scale are dimmed
+        const degree = tile.degree;
+        const dimmed = this.scale && degree === null && !activeColor;
+        if (dimmed) {
+            ctx.fillStyle = this.theme.dim;
+            ctx.fill();
         }
+        const lightFill = dimmed ? this.theme.dimmedLight : color.light;
 
         // Stroke
-        if (q === 0 && r === 0) {
-            // Yellow outline for origin
-            this.ctx.strokeStyle = '#cccccc';
-            this.ctx.lineWidth = 3;
+        if (q === this.tonic.q && r === this.tonic.r) {
+            // Outline for the tonic (the origin unless another is picked)
+            ctx.strokeStyle = this.theme.tonicOutline;
+            ctx.lineWidth = 3;
         } else if (highlight) {
-            this.ctx.strokeStyle = '#ffffff';
-            this.ctx.lineWidth = 3;
+            ctx.strokeStyle = this.theme.outline;
+            ctx.lineWidth = 3;
         } else {
-            this.ctx.strokeStyle = '#ffffff00';
-            this.ctx.lineWidth = 0.01;
+            ctx.strokeStyle = '#ffffff00';
+            ctx.lineWidth = 0.01;
+        }
+        ctx.stroke();
+
+        // Latched cells get a solid inner ring and sustained ones a dashed
+        // ring, independent of the colour flash while a cell is played
+        const latched = this.latched.has(key);
+        if (latched || this.sustained.has(key)) {
+            this.traceHexagon(x, y, scaledSize * 0.78, ctx);
+            ctx.strokeStyle = lightFill ? '#000000' : '#ffffff';
+            ctx.lineWidth = 2;
+            ctx.setLineDash(latched ? [] : [4, 3]);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        // The reference cell for intervals
+        if (this.labelMode === 'interval' && q === this.labelReference.q && r === this.labelReference.r) {
+            this.traceHexagon(x, y, scaledSize - 3, ctx);
+            ctx.strokeStyle = this.theme.reference;
+            ctx.lineWidth = 3;
+            ctx.stroke();
+        }
+
+        // Chord shape previews, cells being edited, and playheads (see
+        // getCellMarks)
+        const mark = this.cellMarks.get(key);
+        if (mark) {
+            this.traceHexagon(x, y, scaledSize - 3, ctx);
+            ctx.strokeStyle = mark === 'preview' ? this.theme.outline : this.theme.playhead;
+            ctx.lineWidth = mark === 'preview' ? 2 : 3;
+            ctx.setLineDash(mark === 'playhead' ? [] : [5, 4]);
+            ctx.stroke();
+            ctx.setLineDash([]);
         }
-        this.ctx.stroke();
 
         // Draw text labels
-        this.ctx.fillStyle = '#ffffff';
-        this.ctx.font = `bold ${Math.floor(16 * this.camera.zoom)}px sans-serif`;
-        this.ctx.textAlign = 'center';
-        this.ctx.textBaseline = 'middle';
-        // this.ctx.fillText(`${q},${r}`, x, y);
+        const [mainText, subText] = tile.labels;
+        ctx.fillStyle = lightFill ? '#000000' : '#ffffff';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        // Long labels (big ratios) shrink to fit the tile
+        let fontSize = Math.floor(16 * zoom);
+        ctx.font = `bold ${fontSize}px sans-serif`;
+        const maxWidth = scaledSize * 1.6;
+        const width = ctx.measureText(mainText).width;
+        if (width > maxWidth) {
+            fontSize = Math.floor(fontSize * maxWidth / width);
+            ctx.font = `bold ${fontSize}px sans-serif`;
+        }
+        ctx.fillText(mainText, x, y - 5);
 
-        // Swapped to match new direction: q uses 5/4, r uses 3/2
-        const mainText = `${pitchInfo.tetPitch}`;
-        this.ctx.fillText(mainText, x, y - 5);
+        ctx.fillStyle = lightFill ? '#00000088' : '#ffffff66';
+        ctx.font = `${Math.floor(12 * zoom)}px sans-serif`;
+        ctx.fillText(subText, x, y + 14);
 
-        this.ctx.fillStyle = '#ffffff66';
-        this.ctx.font = `${Math.floor(12 * this.camera.zoom)}px sans-serif`;
-        // this.ctx.fillText(`${pitchInfo.tetSemitones} ${pitchInfo.semitones.toFixed(2)}`, x, y + 14);
-        this.ctx.fillText(`${pitchInfo.drift > 0 ? '+' : ''}${(pitchInfo.drift * 100).toFixed(0)} c`, x, y + 14);
+        // Scale degree along the bottom edge
+        if (degree !== null) {
+            if (degree === 1) {
+                ctx.fillStyle = lightFill ? '#8d6e00' : '#ffd54f';
+            } else {
+                ctx.fillStyle = lightFill ? '#000000aa' : '#ffffffaa';
+            }
+            ctx.font = `bold ${Math.floor(11 * zoom)}px sans-serif`;
+            ctx.fillText(degree, x, y + scaledSize * 0.65);
+        }
 
-        this.ctx.restore();
+        ctx.restore();
     }
 
-    simplifyFraction(numerator, denominator) {
-        const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
-        const divisor = gcd(numerator, denominator);
-        return {
-            numerator: numerator / divisor,
-            denominator: denominator / divisor
-        };
+    // Main and secondary label of a tile in the current label mode
+    getCellLabels(q, r, pitchInfo, cell) {
+        const spelled = latticeNoteName(q, r);
+        const cents = 1200 * Math.log2(pitchInfo.frequency / BASE_FREQ);
+
+        switch (this.labelMode) {
+            case 'ratio': {
+                const decimal = pitchInfo.frequency / BASE_FREQ;
+                const fraction = this.getFrequencyFraction(q, r, cell ? cell.octave : 0);
+                if (!fraction) return [decimal.toFixed(4), 'tempered'];
+                const [numerator, denominator] = fraction;
+                return [`${numerator}/${denominator}`, decimal.toFixed(3)];
+            }
+            case 'cents': {
+                // From the tonic in the home register, so register shifts show
+                const tonic = this.getFrequency(this.tonic.q, this.tonic.r, -this.octaveShift);
+                const fromTonic = cents - 1200 * Math.log2(tonic / BASE_FREQ);
+                return [`${Math.round(fromTonic)}¢`, spelled];
+            }
+            case 'hz':
+                return [pitchInfo.frequency.toFixed(1), 'Hz'];
+            case 'axial':
+                return [`${q}, ${r}`, spelled];
+            case 'degree':
+                return [latticeDegreeName(q - this.tonic.q, r - this.tonic.r), spelled];
+            case 'interval': {
+                const { q: refQ, r: refR } = this.labelReference;
+                const offset = cents - 1200 * Math.log2(this.getFrequency(refQ, refR) / BASE_FREQ);
+                const sign = offset > 0 ? '+' : '';
+                return [latticeIntervalName(q - refQ, r - refR), `${sign}${Math.round(offset)}¢`];
+            }
+            default: {
+                // The octave number only matters once notes can leave the home octave
+                const showOctave = this.unfolded || this.octaveShift !== 0 || (cell && cell.octave !== 0);
+                const main = showOctave ? `${pitchInfo.tetPitch}${pitchInfo.octave}` : pitchInfo.tetPitch;
+                if (pitchInfo.edoSteps !== null) {
+                    // Equal divisions read better as scale steps than as drift
+                    return [main, `${pitchInfo.edoSteps}\\${this.tuning.edo}`];
+                }
+                return [main, `${pitchInfo.drift > 0 ? '+' : ''}${(pitchInfo.drift * 100).toFixed(0)} c`];
+            }
+        }
+    }
+
+    traceHexagon(x, y, size, ctx = this.ctx) {
+        ctx.beginPath();
+
+        // Flat-top hexagon (rotated 90 degrees from pointy-top)
+        for (let i = 0; i < 6; i++) {
+            const angle = Math.PI / 3 * i + Math.PI / 6; // Offset by 30 degrees for flat-top
+            const hx = x + size * Math.cos(angle);
+            const hy = y + size * Math.sin(angle);
+
+            if (i === 0) {
+                ctx.moveTo(hx, hy);
+            } else {
+                ctx.lineTo(hx, hy);
+            }
+        }
+
+        ctx.closePath();
     }
 
-    getPitchInfo(q, r, constrainOctave = true) {
+    // octave is a per-note offset on top of the register
+    getPitchInfo(q, r, octave = 0) {
 
         const circleBackSemitone = x => ((x % 12) + 12) % 12;
 
-        const frequency = this.getFrequency(q, r);
+        const frequency = this.getFrequency(q, r, octave);
         const semitones = 12 * Math.log2(frequency / BASE_FREQ);
         const noteInOctave = circleBackSemitone(semitones);
         const pitchList = ['C', 'C♯/D♭', 'D', 'D♯/E♭', 'E', 'F', 'F♯/G♭', 'G', 'G♯/A♭', 'A', 'A♯/B♭', 'B']
         const closestPitch = pitchList[circleBackSemitone(Math.round(noteInOctave))];
 
-        let tetSemitones = Math.ceil(r / 2) * 7 + Math.floor(r / 2) * -5 + q * 4;
-        if (constrainOctave) {
+        let tetSemitones = this.tuning.tetSemitones(q, r, this.tuningLayer);
+        if (!this.unfolded) {
             while (tetSemitones < -0.8) tetSemitones += 12;
             while (tetSemitones >= 11.8) tetSemitones -= 12;
         }
+        tetSemitones += 12 * (this.octaveShift + octave);
         const tetPitch = pitchList[circleBackSemitone(tetSemitones)];
 
+        // Wrap so a pitch folded just across the octave boundary from its
+        // 12-TET neighbour still gets a small drift
+        const drift = circleBackSemitone(semitones - tetSemitones + 6) - 6;
+
         return {
             frequency: frequency,
-            fraction: this.getFrequencyFraction(q, r),
             semitones: noteInOctave,
             closestPitch: closestPitch,
             tetSemitones: tetSemitones,
             tetPitch: tetPitch,
-            drift: semitones - tetSemitones, //Math.round(semitones),
-            color: this.getHexColorFromFrequency(q, r),
+            // Scientific pitch notation: middle C is C4
+            octave: 4 + Math.floor(tetSemitones / 12),
+            drift: drift,
+            edoSteps: this.tuning.edoSteps(q, r),
+            color: this.getCellColor(q, r, false, octave),
         }
     }
 
-    // Calculate frequency based on hexagon position
-    getFrequency(q, r, constrainOctave = true) {
-        // q (northeast) uses 1.25 (5/4)
-        // r (horizontal) alternates between 3/2 and 3/4
-        const qFreq = Math.pow(1.25, q);
-        const rFreq = Math.pow(1.5, Math.ceil(r / 2)) * Math.pow(0.75, Math.floor(r / 2));
-        let freq = BASE_FREQ * qFreq * rFreq
-        if (constrainOctave) {
-            while (freq < BASE_FREQ * Math.pow(2, -0.8 / 12)) freq *= 2;
-            while (freq >= BASE_FREQ * Math.pow(2, 11.8 / 12)) freq /= 2;
-        }
-        return freq;
+    // Resting colour, labels and scale degree of a tile, cached until a
+    // setting that changes how tiles look changes
+    getTileData(q, r, octave = 0) {
+        return this.tileCache.getData(`${q},${r},${octave}`, () => {
+            const pitchInfo = this.getPitchInfo(q, r, octave);
+            return {
+                color: pitchInfo.color,
+                labels: this.getCellLabels(q, r, pitchInfo, { octave }),
+                degree: this.getScaleDegree(q, r)
+            };
+        });
     }
 
-    getFrequencyFraction(q, r) {
-        const numerator = (q > 0 ? Math.pow(5, q) : Math.pow(4, -q)) * (r > 0 ? Math.pow(3, r) : Math.pow(2, Math.ceil(Math.abs(r) / 2) * 3 - (Math.abs(r) % 2 === 1 ? 1 : 0)));
-        const denominator = (q > 0 ? Math.pow(4, q) : Math.pow(5, -q)) * (r > 0 ? Math.pow(2, Math.ceil(r / 2) * 3 - (r % 2 === 1 ? 2 : 0)) : Math.pow(3, -r));
-        const simplified = this.simplifyFraction(numerator, denominator);
-        // const fracText = `${simplified.numerator}/${simplified.denominator}`;
-        // const fracText = `(${q},${r})`;
-        return simplified;
+    // Everything a resting tile's look depends on, bar its position and zoom
+    getTileSettingsKey() {
+        return [
+            this.tuning.name, this.tuningLayer, this.octaveShift, this.unfolded,
+            this.labelMode, this.labelReference.q, this.labelReference.r,
+            this.scale ? this.scale.name : '', this.tonic.q, this.tonic.r,
+            this.colorScheme.id, this.theme.id
+        ].join('|');
     }
 
-    // Calculate color based on frequency (chromatic scale)
-    getHexColorFromFrequency(q, r, s = 0.8, l = 0.3) {
-        const frequency = this.getFrequency(q, r);
+    // Calculate frequency based on hexagon position. Folded, every pitch
+    // lands in the octave from just below C4 (moved by the octave shift);
+    // unfolded, pitch keeps rising along the major-third axis.
+    getFrequency(q, r, octave = 0) {
+        // q (northeast) steps by the tuning's major third
+        // r (horizontal) alternates between a fifth up and a fourth down
+        const frequency = this.tuning.frequency(q, r, this.tuningLayer, !this.unfolded);
+        return frequency * Math.pow(2, this.octaveShift + octave);
+    }
 
-        // Convert frequency to semitones from C (middle C = 0)
-        const semitones = 12 * Math.log2(frequency / BASE_FREQ);
+    // Exact ratio to C4 of what getFrequency plays, as [numerator,
+    // denominator] BigInts, or null in tempered tunings
+    getFrequencyFraction(q, r, octave = 0) {
+        return this.tuning.fraction(q, r, this.tuningLayer, !this.unfolded, this.octaveShift + octave);
+    }
 
-        // Map to 0-12 range (chromatic scale within one octave)
-        const noteInOctave = ((semitones % 12) + 12) % 12;
+    // Tile colour in the current scheme and theme (see colors.js), resting
+    // or sounding. Unfolded, higher octaves are lighter and lower ones darker.
+    getCellColor(q, r, active = false, octave = 0) {
+        const frequency = this.getFrequency(q, r, octave);
 
-        // Map to hue: 0 semitones (C) = 0° (red), 12 semitones = 360° (back to red)
-        const hue = (noteInOctave / 12) * 360;
+        // Convert frequency to semitones from C (middle C = 0)
+        const semitones = 12 * Math.log2(frequency / BASE_FREQ);
+        const fifths = (r - this.tonic.r) + 4 * (q - this.tonic.q);
 
-        return `hsl(${hue}, ${s * 100}%, ${l * 100}%)`;
+        const info = {
+            semitones: ((semitones % 12) + 12) % 12,
+            fifths,
+            interval: (((7 * fifths) % 12) + 12) % 12
+        };
+        const octaves = this.unfolded ? Math.floor(Math.round(semitones) / 12) - this.octaveShift : 0;
+        return tileColor(this.colorScheme, this.theme, info, active, octaves);
     }
 
     // Get visible hexagons
@@ -510,278 +2687,229 @@ class HexGrid {
         return hexagons;
     }
 
-    // Mouse handlers
-    handleMouseDown(e) {
-        this.isDragging = true;
-        this.lastMousePos = { x: e.clientX, y: e.clientY };
-
-        // Check if clicking on a hexagon
-        const worldPos = this.screenToWorld(e.clientX, e.clientY);
-        const hex = this.pixelToAxial(worldPos.x, worldPos.y);
-        this.currentMouseHex = hex;
-        this.playTone(hex.q, hex.r);
+    // Where an event happened on the canvas, which only fills the window
+    // in the full app
+    canvasPoint(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
     }
 
-    handleMouseMove(e) {
-        if (this.isDragging) {
-            if (this.enablePanZoom) {
-                const dx = e.clientX - this.lastMousePos.x;
-                const dy = e.clientY - this.lastMousePos.y;
+    // The tile under a canvas point, moved into the key when snapping
+    hexAt(point) {
+        const worldPos = this.screenToWorld(point.x, point.y);
+        return this.snapToScale(this.pixelToAxial(worldPos.x, worldPos.y));
+    }
 
-                this.camera.x += dx / this.camera.zoom;
-                this.camera.y += dy / this.camera.zoom;
+    // Pointer handlers. In play mode each pointer holds the tile under it;
+    // in pan/zoom mode one pointer drags the view and two pinch it.
+    handlePointerDown(e) {
+        if (e.pointerType === 'mouse' && e.button !== 0) return;
+        e.preventDefault();
+        this.canvas.setPointerCapture(e.pointerId);
+        this.cameraMotion.stop();
+
+        const point = this.canvasPoint(e);
+        const pointer = {
+            x: point.x, y: point.y, hex: null, cells: [], octave: 0,
+            // Last cell the trail reached, which runs ahead of hex when
+            // slides don't play
+            trailHex: null,
+            trailColor: TRAIL_COLORS[this.nextTrailColor++ % TRAIL_COLORS.length]
+        };
+        this.pointers.set(e.pointerId, pointer);
+        this.stampHover = null;
 
-                this.lastMousePos = { x: e.clientX, y: e.clientY };
-            } else {
-                // Check if moved to different hex
-                const worldPos = this.screenToWorld(e.clientX, e.clientY);
-                const currentHex = this.pixelToAxial(worldPos.x, worldPos.y);
-                const currentKey = `${currentHex.q},${currentHex.r}`;
-                const lastKey = `${this.currentMouseHex.q},${this.currentMouseHex.r}`;
-
-                if (currentKey !== lastKey) {
-                    this.stopTone(lastKey);
-                    this.playTone(currentHex.q, currentHex.r);
-                    this.currentMouseHex = currentHex;
-                }
-            }
+        if (this.enablePanZoom) {
+            if (this.pointers.size === 2) this.startPinch();
+            return;
         }
-    }
 
-    handleMouseUp(e) {
-        if (this.currentMouseHex) {
-            const key = `${this.currentMouseHex.q},${this.currentMouseHex.r}`;
-            this.stopTone(key);
-            this.currentMouseHex = null;
-        }
-        this.isDragging = false;
+        // Shift plays an octave up and Alt an octave down
+        pointer.hex = this.hexAt(point);
+        pointer.cells = this.getStampCells(pointer.hex);
+        pointer.octave = e.shiftKey ? 1 : (e.altKey ? -1 : 0);
+        pointer.cells.forEach(cell => this.pressCell(cell.q, cell.r, pointer.octave));
     }
 
-    handleWheel(e) {
+    handlePointerMove(e) {
+        const pointer = this.pointers.get(e.pointerId);
+        if (!pointer) {
+            this.updateStampHover(e);
+            return;
+        }
         e.preventDefault();
 
-        if (!this.enablePanZoom) return;
+        const point = this.canvasPoint(e);
+        const dx = (point.x - pointer.x) / this.camera.zoom;
+        const dy = (point.y - pointer.y) / this.camera.zoom;
+        pointer.x = point.x;
+        pointer.y = point.y;
 
-        const zoomFactor = e.deltaY > 0 ? 0.9 : 1.1;
-        const newZoom = Math.max(0.5, Math.min(5, this.camera.zoom * zoomFactor));
+        if (this.enablePanZoom) {
+            if (this.pinch) {
+                this.updatePinch();
+            } else {
+                this.camera.x += dx;
+                this.camera.y += dy;
+                this.cameraMotion.trackDrag(dx, dy, performance.now());
+            }
+            return;
+        }
 
-        // Zoom towards mouse position
-        const mouseX = e.clientX;
-        const mouseY = e.clientY;
+        if (!pointer.hex) return;
+        const hex = this.hexAt(point);
 
-        const worldPosBefore = this.screenToWorld(mouseX, mouseY);
-        this.camera.zoom = newZoom;
-        const worldPosAfter = this.screenToWorld(mouseX, mouseY);
+        // The trail follows the pointer whether or not the slide plays
+        const trailHex = pointer.trailHex || pointer.hex;
+        if (hex.q !== trailHex.q || hex.r !== trailHex.r) {
+            if (this.trails.enabled) this.trails.addSegment(trailHex, hex, pointer.trailColor, performance.now());
+            pointer.trailHex = hex;
+        }
 
-        this.camera.x += worldPosBefore.x - worldPosAfter.x;
-        this.camera.y += worldPosBefore.y - worldPosAfter.y;
+        // In latch mode only taps count, and so they do while a tap edits
+        // something (see pressCell) rather than playing
+        if (this.latchMode || !this.slideRetrigger || this.tapsEdit) return;
+        if (hex.q === pointer.hex.q && hex.r === pointer.hex.r) return;
+
+        // The shape moves with the pointer; notes it shares with the last
+        // position carry on rather than restarting
+        const lastKeys = pointer.cells.map(cell => `${cell.q},${cell.r}`);
+        pointer.hex = hex;
+        pointer.cells = this.getStampCells(hex);
+        const keys = pointer.cells.map(cell => `${cell.q},${cell.r}`);
+        lastKeys.filter(key => !keys.includes(key)).forEach(key => this.releasePointerCell(key));
+        pointer.cells.forEach((cell, index) => {
+            if (!lastKeys.includes(keys[index])) this.playTone(cell.q, cell.r, { octave: pointer.octave });
+        });
     }
 
-    // Touch handlers
-    handleTouchStart(e) {
-        e.preventDefault();
-
-        for (let touch of e.changedTouches) {
-            const worldPos = this.screenToWorld(touch.clientX, touch.clientY);
-            const hex = this.pixelToAxial(worldPos.x, worldPos.y);
-
-            this.touches.set(touch.identifier, {
-                x: touch.clientX,
-                y: touch.clientY,
-                hex: hex
-            });
+    // A pointer lifted (or cancelled, when lifted is false)
+    handlePointerUp(e, lifted) {
+        const pointer = this.pointers.get(e.pointerId);
+        if (!pointer) return;
+        this.pointers.delete(e.pointerId);
 
-            this.playTone(hex.q, hex.r);
-        }
-
-        // Handle pinch zoom initialization
-        if (e.touches.length === 2) {
-            const touch1 = e.touches[0];
-            const touch2 = e.touches[1];
-            this.initialPinchDistance = Math.hypot(
-                touch2.clientX - touch1.clientX,
-                touch2.clientY - touch1.clientY
-            );
-            this.initialZoom = this.camera.zoom;
-            this.lastPinchCenter = {
-                x: (touch1.clientX + touch2.clientX) / 2,
-                y: (touch1.clientY + touch2.clientY) / 2
-            };
+        if (this.enablePanZoom) {
+            if (this.pointers.size < 2) this.pinch = null;
+            if (this.pointers.size === 0 && lifted) this.cameraMotion.release(performance.now());
+            return;
         }
-    }
-
-    handleTouchMove(e) {
-        e.preventDefault();
 
-        // Handle tile sliding for non-joystick touches
-        for (let touch of e.touches) {
-            const lastTouch = this.touches.get(touch.identifier);
-            if (lastTouch) {
-                const worldPos = this.screenToWorld(touch.clientX, touch.clientY);
-                const currentHex = this.pixelToAxial(worldPos.x, worldPos.y);
-                const currentKey = `${currentHex.q},${currentHex.r}`;
-                const lastKey = `${lastTouch.hex.q},${lastTouch.hex.r}`;
-
-                // If moved to a different hex, stop old sound and play new one
-                if (currentKey !== lastKey) {
-                    this.stopTone(lastKey);
-                    this.playTone(currentHex.q, currentHex.r);
-
-                    // Update touch data with new hex
-                    this.touches.set(touch.identifier, {
-                        x: touch.clientX,
-                        y: touch.clientY,
-                        hex: currentHex
-                    });
-                } else if (this.enablePanZoom) {
-                    // Pan if in same hex
-                    const dx = touch.clientX - lastTouch.x;
-                    const dy = touch.clientY - lastTouch.y;
-
-                    this.camera.x += dx / this.camera.zoom;
-                    this.camera.y += dy / this.camera.zoom;
-
-                    this.touches.set(touch.identifier, {
-                        x: touch.clientX,
-                        y: touch.clientY,
-                        hex: lastTouch.hex
-                    });
-                }
+        pointer.cells.forEach(cell => {
+            const key = `${cell.q},${cell.r}`;
+            if (lifted && (e.ctrlKey || e.metaKey) && this.activeCells.has(key)) {
+                this.modifierHeld.add(key);
+            } else {
+                this.releasePointerCell(key);
             }
-        }
+        });
+    }
 
-        if (e.touches.length === 2 && this.enablePanZoom) {
-            // Two touches - pinch zoom and pan
-            const touch1 = e.touches[0];
-            const touch2 = e.touches[1];
+    // Let go of a cell unless another pointer or the modifier still holds it
+    releasePointerCell(key) {
+        if (this.modifierHeld.has(key)) return;
+        const held = Array.from(this.pointers.values()).some(pointer => (
+            pointer.cells.some(cell => `${cell.q},${cell.r}` === key)
+        ));
+        if (!held) this.releaseCell(key);
+    }
 
-            const distance = Math.hypot(
-                touch2.clientX - touch1.clientX,
-                touch2.clientY - touch1.clientY
-            );
+    releaseModifierHeld() {
+        const keys = Array.from(this.modifierHeld);
+        this.modifierHeld.clear();
+        keys.forEach(key => this.releasePointerCell(key));
+    }
 
-            const currentCenter = {
-                x: (touch1.clientX + touch2.clientX) / 2,
-                y: (touch1.clientY + touch2.clientY) / 2
-            };
+    // The cells a tap on hex plays: the chord shape anchored there, or just
+    // the one cell while picking a cell or drawing a shape
+    getStampCells(hex) {
+        if (this.pickTarget || this.stampDrawing) return [hex];
+        const offsets = this.stampShape.id === 'custom' ? this.customStamp : this.stampShape.cells;
+        return offsets.map(([dq, dr]) => ({ q: hex.q + dq, r: hex.r + dr }));
+    }
 
-            if (this.initialPinchDistance && this.enablePanZoom) {
-                const scale = distance / this.initialPinchDistance;
-                this.camera.zoom = Math.max(0.5, Math.min(5, this.initialZoom * scale));
-            }
+    // Preview the chord shape under a mouse or pen that isn't pressed
+    updateStampHover(e) {
+        const previewing = e && e.pointerType !== 'touch' && !this.enablePanZoom &&
+            this.stampShape.id !== 'single' && !this.pickTarget && !this.stampDrawing;
+        this.stampHover = previewing ? this.hexAt(this.canvasPoint(e)) : null;
+    }
 
-            // Pan based on center point movement
-            if (this.lastPinchCenter && this.enablePanZoom) {
-                const dx = currentCenter.x - this.lastPinchCenter.x;
-                const dy = currentCenter.y - this.lastPinchCenter.y;
+    // The first two pointers: their distance and midpoint
+    getPinchSpan() {
+        const [a, b] = Array.from(this.pointers.values());
+        return {
+            distance: Math.max(1, Math.hypot(b.x - a.x, b.y - a.y)),
+            x: (a.x + b.x) / 2,
+            y: (a.y + b.y) / 2
+        };
+    }
 
-                this.camera.x += dx / this.camera.zoom;
-                this.camera.y += dy / this.camera.zoom;
-            }
+    startPinch() {
+        const span = this.getPinchSpan();
+        this.pinch = { ...span, zoom: this.camera.zoom };
+    }
 
-            this.lastPinchCenter = currentCenter;
-        }
+    // Zoom about the midpoint of the two pointers, and pan as it moves
+    updatePinch() {
+        const span = this.getPinchSpan();
+        this.camera.x += (span.x - this.pinch.x) / this.camera.zoom;
+        this.camera.y += (span.y - this.pinch.y) / this.camera.zoom;
+        this.zoomAt(this.pinch.zoom * span.distance / this.pinch.distance, span.x, span.y);
+        this.pinch.x = span.x;
+        this.pinch.y = span.y;
     }
 
-    handleTouchEnd(e) {
+    handleWheel(e) {
         e.preventDefault();
 
-        for (let touch of e.changedTouches) {
-            const touchData = this.touches.get(touch.identifier);
-            if (touchData && touchData.hex) {
-                const key = `${touchData.hex.q},${touchData.hex.r}`;
-                this.stopTone(key);
-            }
-            this.touches.delete(touch.identifier);
-        }
+        if (!this.enablePanZoom) return;
+        this.cameraMotion.stop();
 
-        if (e.touches.length < 2) {
-            this.initialPinchDistance = null;
-            this.lastPinchCenter = null;
-        }
+        // Zoom towards mouse position
+        const point = this.canvasPoint(e);
+        this.zoomAt(this.camera.zoom * (e.deltaY > 0 ? 0.9 : 1.1), point.x, point.y);
     }
 
     // Audio synthesis
-    playTone(q, r) {
-        if (!this.audioContext) return;
-
+    // With silent set the cell lights up without sounding or sending MIDI;
+    // octave moves this note away from the current register
+    // sequenced marks the sequencer's own notes, which sound even while the
+    // arpeggiator is on
+    playTone(q, r, { silent = false, octave = 0, sequenced = false } = {}) {
         const key = `${q},${r}`;
 
         // Stop existing tone if any
         this.stopTone(key);
 
         // Calculate frequency based on hexagon position
-        const frequency = this.getFrequency(q, r);
-
-        // Create gain node for overall control
-        const gainNode = this.audioContext.createGain();
-        gainNode.gain.setValueAtTime(0, this.audioContext.currentTime);
-
-        const oscillators = [];
-
-        if (this.soundType === 'violin') {
-            // Violin-like harmonics
-            gainNode.gain.linearRampToValueAtTime(0.15, this.audioContext.currentTime + 0.01);
-
-            const harmonics = [
-                { ratio: 1, gain: 1.0 },      // Fundamental
-                { ratio: 2, gain: 0.5 },      // 2nd harmonic (octave)
-                { ratio: 3, gain: 0.3 },      // 3rd harmonic (perfect fifth above octave)
-                { ratio: 4, gain: 0.25 },     // 4th harmonic (two octaves)
-                { ratio: 5, gain: 0.15 },     // 5th harmonic
-                { ratio: 6, gain: 0.1 },      // 6th harmonic
-                { ratio: 7, gain: 0.05 }      // 7th harmonic
-            ];
-
-            harmonics.forEach(harmonic => {
-                const osc = this.audioContext.createOscillator();
-                const harmonicGain = this.audioContext.createGain();
-
-                osc.type = 'sine';
-                osc.frequency.setValueAtTime(frequency * harmonic.ratio, this.audioContext.currentTime);
-                harmonicGain.gain.setValueAtTime(harmonic.gain, this.audioContext.currentTime);
-
-                osc.connect(harmonicGain);
-                harmonicGain.connect(gainNode);
-
-                osc.start();
-                oscillators.push(osc);
-            });
-        } else {
-            // Simple sine wave
-            gainNode.gain.linearRampToValueAtTime(0.2, this.audioContext.currentTime + 0.01);
-
-            const osc = this.audioContext.createOscillator();
-            osc.type = 'sine';
-            osc.frequency.setValueAtTime(frequency, this.audioContext.currentTime);
-
-            osc.connect(gainNode);
-            osc.start();
-            oscillators.push(osc);
-        }
+        const frequency = this.getFrequency(q, r, octave);
 
-        gainNode.connect(this.audioContext.destination);
+        // With the arpeggiator on, held cells light up but don't sound
+        // themselves; it plays them one at a time (see playArpStep)
+        const arpHeld = this.arpeggiator.enabled && !sequenced;
+        const voice = silent || arpHeld ? null : this.startVoice(key, q, r, octave, frequency);
 
-        // Store active oscillators
-        this.activeCells.set(key, { oscillators, gainNode });
+        // Store the active voice (null when the synth isn't sounding)
+        this.activeCells.set(key, { q, r, octave, frequency, voice, arpHeld });
+        if (!arpHeld) this.recorder.record('on', q, r, frequency);
+        if (this.onNoteOn) this.onNoteOn({ q, r, octave, frequency });
 
         // Set color for visual feedback
-        const hue = (q * 30 + r * 50) % 360;
-        this.cellColors.set(key, this.getHexColorFromFrequency(q, r, 0.9, 0.7));
+        this.cellColors.set(key, this.getCellColor(q, r, true, octave));
     }
 
     stopTone(key) {
+        this.latched.delete(key);
+        this.sustained.delete(key);
+        this.sequencerCells.delete(key);
+
         const cell = this.activeCells.get(key);
         if (cell) {
-            const { oscillators, gainNode } = cell;
-            const currentTime = this.audioContext.currentTime;
-
-            gainNode.gain.cancelScheduledValues(currentTime);
-            gainNode.gain.setValueAtTime(gainNode.gain.value, currentTime);
-            gainNode.gain.linearRampToValueAtTime(0, currentTime + 0.1);
-
-            oscillators.forEach(osc => osc.stop(currentTime + 0.1));
+            this.stopVoice(key, cell.voice);
             this.activeCells.delete(key);
+            if (!cell.arpHeld) this.recorder.record('off', cell.q, cell.r, cell.frequency);
+            if (this.onNoteOff) this.onNoteOff({ q: cell.q, r: cell.r, octave: cell.octave, frequency: cell.frequency });
 
             // Fade out color
             setTimeout(() => {
@@ -790,6 +2918,30 @@ class HexGrid {
         }
     }
 
+    // Sound a note on the MIDI output and the synth under a pool key. Returns
+    // the synth voice, or null when the synth is muted, not started yet or
+    // out of voices.
+    startVoice(key, q, r, octave, frequency) {
+        this.midiOutput.noteOn(key, this.getPitchInfo(q, r, octave));
+        if (!this.audioContext || this.muteSynth) return null;
+
+        const now = this.audioContext.currentTime;
+        if (!this.voicePool.makeRoom(now)) return null;
+        const destination = this.masterBus.voiceDestination(q - this.getCenterHex().q);
+        const voice = createVoice(this.audioContext, destination, frequency, this.patch, now);
+        this.voicePool.add(key, voice, frequency);
+        this.masterBus.setVoiceCount(this.voicePool.count);
+        return voice;
+    }
+
+    stopVoice(key, voice) {
+        if (voice) {
+            this.voicePool.release(key, this.audioContext.currentTime);
+            this.masterBus.setVoiceCount(this.voicePool.count);
+        }
+        this.midiOutput.noteOff(key);
+    }
+
     // Update joystick visual position
     updateJoystickVisual() {
         if (this.joystick.stickElement) {
@@ -805,23 +2957,384 @@ class HexGrid {
         }
     }
 
-    // Render loop
-    animate() {
-        this.ctx.clearRect(0, 0, this.width, this.height);
+    // Screen position of a cell's center
+    cellToScreen(q, r) {
+        const pos = this.axialToPixel(q, r);
+        return this.worldToScreen(pos.x, pos.y);
+    }
+
+    // Fill the lattice triangles of a chord and label it
+    drawChord(chord) {
+        const points = chord.cells.map(cell => this.cellToScreen(cell.q, cell.r));
+
+        this.ctx.save();
+        this.ctx.fillStyle = this.theme.chordFill;
+        this.ctx.strokeStyle = this.theme.chordStroke;
+        this.ctx.lineWidth = 2;
+        this.ctx.lineJoin = 'round';
+
+        if (chord.triangles.length > 0) {
+            chord.triangles.forEach(triangle => {
+                this.ctx.beginPath();
+                triangle.forEach((cell, i) => {
+                    const p = this.cellToScreen(cell.q, cell.r);
+                    if (i === 0) {
+                        this.ctx.moveTo(p.x, p.y);
+                    } else {
+                        this.ctx.lineTo(p.x, p.y);
+                    }
+                });
+                this.ctx.closePath();
+                this.ctx.fill();
+                this.ctx.stroke();
+            });
+        }
+
+        // Cells outside any triangle (the 7th of a dominant chord, or the
+        // straight lines of diminished and augmented chords) get joined by lines
+        const inTriangle = new Set();
+        chord.triangles.forEach(triangle => triangle.forEach(cell => inTriangle.add(`${cell.q},${cell.r}`)));
+        for (let i = 1; i < chord.cells.length; i++) {
+            const a = chord.cells[i - 1];
+            const b = chord.cells[i];
+            const bothInTriangle = inTriangle.has(`${a.q},${a.r}`) && inTriangle.has(`${b.q},${b.r}`);
+            if (!bothInTriangle || chord.triangles.length === 0) {
+                this.ctx.beginPath();
+                this.ctx.moveTo(points[i - 1].x, points[i - 1].y);
+                this.ctx.lineTo(points[i].x, points[i].y);
+                this.ctx.stroke();
+            }
+        }
+
+        // Label at the centroid
+        const cx = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+        const cy = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+        this.ctx.font = `bold ${Math.floor(14 * this.camera.zoom)}px sans-serif`;
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        const textWidth = this.ctx.measureText(chord.name).width;
+        const padding = 4 * this.camera.zoom;
+        const boxHeight = 18 * this.camera.zoom;
+        this.ctx.fillStyle = this.theme.labelBox;
+        this.ctx.fillRect(cx - textWidth / 2 - padding, cy - boxHeight / 2, textWidth + padding * 2, boxHeight);
+        this.ctx.fillStyle = this.theme.labelText;
+        this.ctx.fillText(chord.name, cx, cy);
+
+        this.ctx.restore();
+    }
+
+    // Redraw everything on the next frame, for changes render can't see
+    invalidate() {
+        this.needsRedraw = true;
+    }
+
+    // Cells to ring on the grid: the chord shape under the mouse as a
+    // preview, the cells of the sequencer step or chord shape being edited,
+    // and the sequencer's current step and the arpeggiator's note as playheads
+    getCellMarks() {
+        const marks = new Map();
+        const mark = (cells, type) => cells.forEach(cell => marks.set(`${cell.q},${cell.r}`, type));
+        if (this.stampHover) mark(this.getStampCells(this.stampHover), 'preview');
+        if (this.stampDrawing) mark(this.stampDrawing, 'edit');
+        if (this.sequencerEditStep !== null) mark(this.sequencer.cellsAt(this.sequencerEditStep), 'edit');
+        if (this.sequencer.playing) mark(this.sequencer.cellsAt(this.sequencer.position), 'playhead');
+        if (this.arpNote) marks.set(this.arpNote.key, 'playhead');
+        return marks;
+    }
+
+    // How every cell that isn't at rest looks, by key
+    getCellStates() {
+        const keys = new Set([
+            ...this.activeCells.keys(), ...this.cellColors.keys(), ...this.latched, ...this.sustained,
+            ...this.cellMarks.keys()
+        ]);
+        const states = new Map();
+        keys.forEach(key => {
+            const cell = this.activeCells.get(key);
+            const color = this.cellColors.get(key);
+            states.set(key, [
+                cell ? cell.octave : '', color ? color.fill : '',
+                this.latched.has(key), this.sustained.has(key), this.cellMarks.get(key) || ''
+            ].join('|'));
+        });
+        return states;
+    }
+
+    // Screen rectangle covering a tile and its outline
+    getTileRect(q, r) {
+        const p = this.cellToScreen(q, r);
+        const half = this.baseHexSize * this.camera.zoom + 2;
+        return { x: p.x - half, y: p.y - half, width: half * 2, height: half * 2 };
+    }
+
+    // Screen rectangle covering a chord's triangles, lines and label
+    getChordRect(chord) {
+        const rects = chord.cells.map(cell => this.getTileRect(cell.q, cell.r));
+        const x = Math.min(...rects.map(rect => rect.x));
+        const y = Math.min(...rects.map(rect => rect.y));
+        return {
+            x,
+            y,
+            width: Math.max(...rects.map(rect => rect.x + rect.width)) - x,
+            height: Math.max(...rects.map(rect => rect.y + rect.height)) - y
+        };
+    }
+
+    // Draw the grid if anything on it changed. A moved camera, a resize or a
+    // changed setting redraws the whole screen; otherwise only the tiles
+    // whose state changed, and the chords over them, are redrawn. Returns
+    // 'full', 'partial' or null when nothing was drawn.
+    render() {
+        this.tileCache.sync(this.getTileSettingsKey());
+        const view = [
+            this.camera.x, this.camera.y, this.camera.zoom, this.width, this.height, this.dpr,
+            this.tileCache.settingsKey, this.keymap.enabled, this.keymap.anchor.q, this.keymap.anchor.r,
+            Array.from(this.keyboardNotes.keys()).join(',')
+        ].join('|');
+
+        this.cellMarks = this.getCellMarks();
+        const cells = this.getCellStates();
+        const changed = [];
+        cells.forEach((state, key) => {
+            if (this.drawnCells.get(key) !== state) changed.push(key);
+        });
+        this.drawnCells.forEach((state, key) => {
+            if (!cells.has(key)) changed.push(key);
+        });
+
+        const full = this.needsRedraw || view !== this.drawnView;
+        if (!full && changed.length === 0) return null;
+
+        const previousChords = this.chords;
+        if (changed.length > 0 || full) {
+            this.chords = this.chordDetector.detect(this.getActiveCellList());
+            const names = (chords) => chords.map(chord => chord.name).join('|');
+            if (names(this.chords) !== names(previousChords)) {
+                if (this.onChordsChanged) this.onChordsChanged(this.chords);
+                if (this.trails.enabled && this.chords.length > 0) {
+                    const cells = this.chords[0].cells.map(({ q, r }) => this.activeCells.get(`${q},${r}`));
+                    this.trails.addChord(cells, performance.now());
+                }
+            }
+        }
+
+        let dirty = null;
+        if (!full) {
+            dirty = changed.map(key => {
+                const [q, r] = key.split(',').map(Number);
+                return this.getTileRect(q, r);
+            });
+            previousChords.concat(this.chords).forEach(chord => dirty.push(this.getChordRect(chord)));
+        }
+
+        this.ctx.save();
+        if (dirty) {
+            this.ctx.beginPath();
+            dirty.forEach(rect => {
+                this.ctx.rect(rect.x, rect.y, rect.width, rect.height);
+                this.ctx.clearRect(rect.x, rect.y, rect.width, rect.height);
+            });
+            this.ctx.clip();
+        } else {
+            this.ctx.clearRect(0, 0, this.width, this.height);
+        }
 
-        // Draw hexagons
-        const hexagons = this.getVisibleHexagons();
-        for (let hex of hexagons) {
+        const overlaps = (rect) => dirty.some(d => rect.x < d.x + d.width && d.x < rect.x + rect.width &&
+            rect.y < d.y + d.height && d.y < rect.y + rect.height);
+
+        const level = TileCache.levelFor(this.camera.zoom);
+        const spriteHalf = this.baseHexSize * level + 3;
+        const scale = this.camera.zoom / level;
+        this.getVisibleHexagons().forEach(hex => {
             const key = `${hex.q},${hex.r}`;
-            const isActive = this.activeCells.has(key);
-            const isOrigin = hex.q === 0 && hex.r === 0;
-            this.drawHexagon(hex.x, hex.y, hex.q, hex.r, isActive || isOrigin);
+            if (dirty && !overlaps(this.getTileRect(hex.q, hex.r))) return;
+
+            const isTonic = hex.q === this.tonic.q && hex.r === this.tonic.r;
+            if (cells.has(key)) {
+                // Sounding, fading, latched or sustained: drawn as it is now
+                this.drawHexagon(this.ctx, hex.x, hex.y, hex.q, hex.r, this.camera.zoom,
+                    this.activeCells.has(key) || isTonic);
+                return;
+            }
+            const sprite = this.tileCache.getSprite(key, level, this.dpr, spriteHalf * 2, ctx => {
+                this.drawHexagon(ctx, spriteHalf, spriteHalf, hex.q, hex.r, level, isTonic);
+            });
+            const size = spriteHalf * 2 * scale;
+            this.ctx.drawImage(sprite, hex.x - size / 2, hex.y - size / 2, size, size);
+        });
+
+        if (this.keymap.enabled) this.drawKeymap();
+
+        // Draw recognised chords on top
+        this.chords.forEach(chord => this.drawChord(chord));
+        this.ctx.restore();
+
+        this.drawnView = view;
+        this.drawnCells = cells;
+        this.needsRedraw = false;
+        return full ? 'full' : 'partial';
+    }
+
+    // Draw the trails and voice-leading arrows when they have changed, faded
+    // or the view has moved
+    renderTrails(now) {
+        if (!this.trailCtx) return;
+        const layer = this.trails;
+        layer.prune(now);
+        const view = [
+            this.camera.x, this.camera.y, this.camera.zoom, this.width, this.height, this.dpr, this.theme.id
+        ].join('|');
+        const fading = !layer.empty && layer.fadeTime > 0;
+        if (!fading && !layer.changed && view === this.trailView) return;
+        layer.changed = false;
+        this.trailView = view;
+
+        const ctx = this.trailCtx;
+        ctx.clearRect(0, 0, this.width, this.height);
+        ctx.save();
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+
+        ctx.lineWidth = 6 * this.camera.zoom;
+        layer.segments.forEach(segment => {
+            const from = this.cellToScreen(segment.from.q, segment.from.r);
+            const to = this.cellToScreen(segment.to.q, segment.to.r);
+            ctx.globalAlpha = 0.8 * layer.opacity(segment, now);
+            ctx.strokeStyle = segment.color;
+            ctx.beginPath();
+            ctx.moveTo(from.x, from.y);
+            ctx.lineTo(to.x, to.y);
+            ctx.stroke();
+        });
+
+        ctx.lineWidth = 2.5 * this.camera.zoom;
+        ctx.strokeStyle = this.theme.outline;
+        ctx.fillStyle = this.theme.outline;
+        layer.arrows.forEach(arrow => {
+            ctx.globalAlpha = layer.opacity(arrow, now);
+            this.drawArrow(ctx, this.cellToScreen(arrow.from.q, arrow.from.r), this.cellToScreen(arrow.to.q, arrow.to.r));
+        });
+        ctx.restore();
+    }
+
+    // An arrow between two cell centres, stopping short of both so the
+    // labels stay readable
+    drawArrow(ctx, from, to) {
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        const length = Math.hypot(dx, dy);
+        const inset = this.baseHexSize * this.camera.zoom * 0.45;
+        if (length <= inset * 2) return;
+
+        const ux = dx / length;
+        const uy = dy / length;
+        const start = { x: from.x + ux * inset, y: from.y + uy * inset };
+        const end = { x: to.x - ux * inset, y: to.y - uy * inset };
+        const head = 10 * this.camera.zoom;
+
+        ctx.beginPath();
+        ctx.moveTo(start.x, start.y);
+        ctx.lineTo(end.x, end.y);
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.moveTo(end.x, end.y);
+        ctx.lineTo(end.x - ux * head - uy * head / 2, end.y - uy * head + ux * head / 2);
+        ctx.lineTo(end.x - ux * head + uy * head / 2, end.y - uy * head - ux * head / 2);
+        ctx.closePath();
+        ctx.fill();
+    }
+
+    setTrails(enabled) {
+        this.trails.enabled = enabled;
+        if (!enabled) this.trails.clear();
+    }
+
+    // The view as a PNG with the trails over it, for lesson slides
+    exportImage() {
+        const image = document.createElement('canvas');
+        image.width = this.canvas.width;
+        image.height = this.canvas.height;
+        const ctx = image.getContext('2d');
+        ctx.fillStyle = this.theme.background;
+        ctx.fillRect(0, 0, image.width, image.height);
+        ctx.drawImage(this.canvas, 0, 0);
+        if (this.trailCanvas) ctx.drawImage(this.trailCanvas, 0, 0);
+        image.toBlob(blob => this.downloadFile('tonnetz-view.png', blob, 'image/png'));
+    }
+
+    // Frame rate, and how often and how long the grid took to redraw
+    updateFrameStats(kind, drawTime, now) {
+        const stats = this.frameStats;
+        stats.frames++;
+        if (kind) {
+            stats[kind]++;
+            stats.drawTime += drawTime;
+            stats.maxDrawTime = Math.max(stats.maxDrawTime, drawTime);
+        }
+
+        const elapsed = now - stats.since;
+        if (elapsed < 500) return;
+        const overlay = this.root.getElementById('frame-stats');
+        if (overlay && !overlay.classList.contains('hidden')) {
+            const perSecond = (count) => Math.round(count * 1000 / elapsed);
+            const redraws = stats.full + stats.partial;
+            const average = redraws > 0 ? stats.drawTime / redraws : 0;
+            overlay.textContent = `${perSecond(stats.frames)} fps · redraws/s ${perSecond(stats.full)} full, ` +
+                `${perSecond(stats.partial)} partial · draw ${average.toFixed(1)} ms (max ${stats.maxDrawTime.toFixed(1)})`;
+        }
+        this.frameStats = { frames: 0, full: 0, partial: 0, drawTime: 0, maxDrawTime: 0, since: now };
+    }
+
+    // Joystick panning, flings and flights, dt milliseconds on. A take
+    // playing is followed once a frame, after all the notes it started
+    // together have begun.
+    updateCamera(now, dt) {
+        if (this.playbackMoved) {
+            this.playbackMoved = false;
+            if (this.followPlayback && this.recorder.playing) this.followHarmony();
         }
+        if (this.joystick.active) {
+            const step = this.joystick.speed * dt / 1000 / this.camera.zoom / this.joystick.maxDistance;
+            this.camera.x -= this.joystick.stickX * step;
+            this.camera.y -= this.joystick.stickY * step;
+            this.cameraMotion.stop();
+        }
+        this.cameraMotion.step(this.camera, now, dt);
+    }
+
+    // Stop drawing and silence this grid, when it is removed from the page
+    destroy() {
+        this.destroyed = true;
+        this.listeners.abort();
+        if (this.resizeObserver) this.resizeObserver.disconnect();
+        clearInterval(this.meterTimer);
+        clearInterval(this.saveTimer);
+        this.recorder.stopPlayback();
+        this.midiInput.close();
+        this.releaseAll();
+        this.clock.stop();
+        this.arpClock.stop();
+        if (this.masterBus) this.masterBus.disconnect();
+    }
+
+    // Render loop
+    animate() {
+        if (this.destroyed) return;
+        const start = performance.now();
+        // Long gaps (a background tab) don't turn into one huge step
+        const dt = this.lastFrameTime === null ? 0 : Math.min(50, start - this.lastFrameTime);
+        this.lastFrameTime = start;
+        this.updateCamera(start, dt);
+
+        const kind = this.render();
+        this.renderTrails(start);
+        this.updateFrameStats(kind, performance.now() - start, start);
 
         requestAnimationFrame(() => this.animate());
     }
 }
 
-// Initialize the application
+// Initialize the application, unless the page only embeds grids (see
+// tonnetz-grid.js)
 const canvas = document.getElementById('canvas');
-const hexGrid = new HexGrid(canvas);
+const hexGrid = canvas ? new HexGrid(canvas) : null;
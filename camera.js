@@ -0,0 +1,74 @@
+// Camera motion over time: the inertial fling after a drag, and animated
+// flights to a point. The grid calls step() once a frame with its camera,
+// whose x and y are in world pixels.
+
+// A fling's speed falls by e^-FLING_FRICTION every second
+const FLING_FRICTION = 4;
+// World pixels per millisecond below which a fling stops, or never starts
+const FLING_MIN_SPEED = 0.02;
+// A drag held still this long (ms) before release doesn't fling
+const FLING_HOLD_TIME = 80;
+const FLIGHT_DURATION = 600;
+
+class CameraMotion {
+    constructor() {
+        this.velocity = { x: 0, y: 0 };
+        this.lastDragTime = 0;
+        this.flinging = false;
+        this.flight = null;
+    }
+
+    get moving() {
+        return this.flinging || this.flight !== null;
+    }
+
+    // A drag moved the camera by (dx, dy); the velocity is smoothed over the
+    // last few moves so one jittery event doesn't decide the fling
+    trackDrag(dx, dy, now) {
+        this.stop();
+        const dt = now - this.lastDragTime;
+        const vx = dx / Math.max(1, dt);
+        const vy = dy / Math.max(1, dt);
+        if (dt > FLING_HOLD_TIME) {
+            this.velocity = { x: vx, y: vy };
+        } else {
+            this.velocity = { x: (this.velocity.x + vx) / 2, y: (this.velocity.y + vy) / 2 };
+        }
+        this.lastDragTime = now;
+    }
+
+    // The drag ended: carry on at its speed unless it had come to rest
+    release(now) {
+        const speed = Math.hypot(this.velocity.x, this.velocity.y);
+        this.flinging = now - this.lastDragTime < FLING_HOLD_TIME && speed > FLING_MIN_SPEED;
+    }
+
+    stop() {
+        this.flinging = false;
+        this.flight = null;
+    }
+
+    // Glide from where the camera is to (x, y), easing in and out
+    flyTo(camera, x, y, now, duration = FLIGHT_DURATION) {
+        this.flinging = false;
+        this.flight = { fromX: camera.x, fromY: camera.y, toX: x, toY: y, start: now, duration };
+    }
+
+    // Move the camera on by dt milliseconds
+    step(camera, now, dt) {
+        if (this.flight) {
+            const { fromX, fromY, toX, toY, start, duration } = this.flight;
+            const t = Math.min(1, (now - start) / duration);
+            const eased = t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+            camera.x = fromX + (toX - fromX) * eased;
+            camera.y = fromY + (toY - fromY) * eased;
+            if (t === 1) this.flight = null;
+        } else if (this.flinging) {
+            camera.x += this.velocity.x * dt;
+            camera.y += this.velocity.y * dt;
+            const decay = Math.exp(-FLING_FRICTION * dt / 1000);
+            this.velocity = { x: this.velocity.x * decay, y: this.velocity.y * decay };
+            if (Math.hypot(this.velocity.x, this.velocity.y) < FLING_MIN_SPEED) this.flinging = false;
+        }
+    }
+}
@@ -0,0 +1,253 @@
+// Chord recognition on the lattice.
+//
+// Chords are matched by shape rather than by pitch class, so the same notes
+// spread across distant cells don't count as a chord. Offsets are (q, r)
+// steps from the root: q is a major third, r a fifth.
+
+const CHORD_SHAPES = [
+    // Seventh chords: a triangle plus one more cell
+    { id: 'maj7', name: 'major 7th', symbol: 'maj7', cells: [[0, 0], [1, 0], [0, 1], [1, 1]] },
+    { id: 'dom7', name: 'dominant 7th', symbol: '7', cells: [[0, 0], [1, 0], [0, 1], [-1, 2]] },
+    { id: 'min7', name: 'minor 7th', symbol: 'm7', cells: [[0, 0], [-1, 1], [0, 1], [-1, 2]] },
+    { id: 'hdim7', name: 'half-diminished 7th', symbol: 'ø7', cells: [[0, 0], [-1, 1], [-2, 2], [-1, 2]] },
+    { id: 'dim7', name: 'diminished 7th', symbol: '°7', cells: [[0, 0], [-1, 1], [-2, 2], [-3, 3]] },
+
+    // Triads: major and minor are the two triangle orientations; diminished
+    // and augmented lie on a straight line of minor or major thirds
+    { id: 'major', name: 'major', symbol: '', cells: [[0, 0], [1, 0], [0, 1]] },
+    { id: 'minor', name: 'minor', symbol: 'm', cells: [[0, 0], [-1, 1], [0, 1]] },
+    { id: 'dim', name: 'diminished', symbol: '°', cells: [[0, 0], [-1, 1], [-2, 2]] },
+    { id: 'aug', name: 'augmented', symbol: '+', cells: [[0, 0], [1, 0], [2, 0]] }
+];
+
+// Shapes a single tap can play in chord mode, as offsets from the tapped
+// cell. 'custom' takes its cells from a shape the player draws.
+const STAMP_SHAPES = [
+    { id: 'single', name: 'Single note', cells: [[0, 0]] },
+    { id: 'major', name: 'Major triad', cells: chordShape('major').cells },
+    { id: 'minor', name: 'Minor triad', cells: chordShape('minor').cells },
+    { id: 'dom7', name: 'Dominant 7th', cells: chordShape('dom7').cells },
+    { id: 'maj7', name: 'Major 7th', cells: chordShape('maj7').cells },
+    { id: 'min7', name: 'Minor 7th', cells: chordShape('min7').cells },
+    { id: 'sus4', name: 'Sus4', cells: [[0, 0], [0, -1], [0, 1]] },
+    { id: 'sus2', name: 'Sus2', cells: [[0, 0], [0, 2], [0, 1]] },
+    { id: 'power', name: 'Power chord', cells: [[0, 0], [0, 1]] },
+    { id: 'custom', name: 'Custom', cells: null }
+];
+const MAX_STAMP_CELLS = 12;
+
+function chordShape(id) {
+    return CHORD_SHAPES.find(shape => shape.id === id);
+}
+
+function getStampShape(id) {
+    return STAMP_SHAPES.find(shape => shape.id === id) || STAMP_SHAPES[0];
+}
+
+// Note names along the line of fifths, F to B
+const FIFTHS_NAMES = ['F', 'C', 'G', 'D', 'A', 'E', 'B'];
+
+// Spell a lattice cell as a note name. Each r step is a fifth and each q step
+// a major third (four fifths), so the cell's place on the line of fifths gives
+// the letter and accidentals: (1, 0) is E, (-1, 1) is E♭, (2, 0) is G♯.
+function latticeNoteName(q, r) {
+    const fifths = r + 4 * q + 1;
+    const letter = FIFTHS_NAMES[((fifths % 7) + 7) % 7];
+    return letter + accidentalText(Math.floor(fifths / 7));
+}
+
+function accidentalText(sharps) {
+    if (sharps > 0) return sharps === 1 ? '♯' : sharps === 2 ? '𝄪' : `${sharps}♯`;
+    if (sharps < 0) return sharps === -1 ? '♭' : sharps === -2 ? '𝄫' : `${-sharps}♭`;
+    return '';
+}
+
+// Diatonic size (0 = unison ... 6 = seventh) of a span of fifths; a fifth
+// spans four steps
+function diatonicSize(fifths) {
+    return (((4 * fifths) % 7) + 7) % 7;
+}
+
+// Scale degree of a cell (dq, dr) away from the tonic, against the major
+// scale: (1, 0) is 3, (-1, 1) is ♭3, (0, 6) is ♯4
+function latticeDegreeName(dq, dr) {
+    const fifths = dr + 4 * dq;
+    // F to B (-1 to 5 fifths) are the naturals of C major
+    return accidentalText(Math.floor((fifths + 1) / 7)) + (diatonicSize(fifths) + 1);
+}
+
+// Fifths from the unison to the perfect or major interval of each size
+const INTERVAL_BASE_FIFTHS = [0, 2, 4, -1, 1, 3, 5];
+
+// Interval name from one cell to another (dq, dr) away: (1, 0) is M3,
+// (-1, 1) is m3, (0, 1) is P5, (2, 0) is A5
+function latticeIntervalName(dq, dr) {
+    const fifths = dr + 4 * dq;
+    const size = diatonicSize(fifths);
+    const offset = (fifths - INTERVAL_BASE_FIFTHS[size]) / 7;
+    const perfect = size === 0 || size === 3 || size === 4;
+
+    let quality;
+    if (offset === 0) {
+        quality = perfect ? 'P' : 'M';
+    } else if (offset === -1 && !perfect) {
+        quality = 'm';
+    } else {
+        // Augmented above, diminished below (one step further for major
+        // intervals, which pass through minor first)
+        const count = offset > 0 ? offset : -offset - (perfect ? 0 : 1);
+        const symbol = offset > 0 ? 'A' : 'd';
+        quality = count <= 2 ? symbol.repeat(count) : `${count}${symbol}`;
+    }
+    return quality + (size + 1);
+}
+
+class ChordDetector {
+    // cells: [{ q, r }]. Returns the chords found, largest shapes first; each
+    // cell belongs to at most one chord.
+    detect(cells) {
+        const present = new Set(cells.map(cell => `${cell.q},${cell.r}`));
+        const claimed = new Set();
+        const chords = [];
+
+        CHORD_SHAPES.forEach(shape => {
+            cells.forEach(root => {
+                const shapeCells = shape.cells.map(([dq, dr]) => ({ q: root.q + dq, r: root.r + dr }));
+                const keys = shapeCells.map(cell => `${cell.q},${cell.r}`);
+                if (!keys.every(key => present.has(key) && !claimed.has(key))) return;
+
+                keys.forEach(key => claimed.add(key));
+                const rootName = latticeNoteName(root.q, root.r);
+                chords.push({
+                    shape,
+                    root: { q: root.q, r: root.r },
+                    cells: shapeCells,
+                    name: `${rootName} ${shape.name}`,
+                    symbol: `${rootName}${shape.symbol}`,
+                    triangles: this.findTriangles(shapeCells)
+                });
+            });
+        });
+
+        return chords;
+    }
+
+    // Unit triangles of the lattice whose three corners are all in cells
+    findTriangles(cells) {
+        const present = new Set(cells.map(cell => `${cell.q},${cell.r}`));
+        const has = (q, r) => present.has(`${q},${r}`);
+        const triangles = [];
+
+        cells.forEach(({ q, r }) => {
+            // Major-third/fifth triangle pointing one way, minor the other
+            if (has(q + 1, r) && has(q, r + 1)) {
+                triangles.push([{ q, r }, { q: q + 1, r }, { q, r: r + 1 }]);
+            }
+            if (has(q - 1, r + 1) && has(q, r + 1)) {
+                triangles.push([{ q, r }, { q: q - 1, r: r + 1 }, { q, r: r + 1 }]);
+            }
+        });
+
+        return triangles;
+    }
+}
+
+// Neo-Riemannian transformations. Each basic move flips a triad triangle
+// across one of its edges onto the neighbouring triangle, keeping two common
+// tones; compound moves chain the basic ones left to right.
+const TRANSFORMATIONS = {
+    P: { name: 'Parallel', steps: ['P'] },
+    L: { name: 'Leittonwechsel', steps: ['L'] },
+    R: { name: 'Relative', steps: ['R'] },
+    N: { name: 'Nebenverwandt', steps: ['R', 'L', 'P'] },
+    S: { name: 'Slide', steps: ['L', 'P', 'R'] },
+    H: { name: 'Hexatonic pole', steps: ['L', 'P', 'L'] }
+};
+
+// Which tone (0 root, 1 third, 2 fifth) each basic move replaces
+const FLIPPED_TONE = {
+    major: { P: 1, L: 0, R: 2 },
+    minor: { P: 1, L: 2, R: 0 }
+};
+
+// triad: { q, r, type } with type 'major' or 'minor' and (q, r) the root.
+// Returns the cells as [root, third, fifth].
+function triadCells(triad) {
+    const shape = CHORD_SHAPES.find(s => s.id === triad.type);
+    return shape.cells.map(([dq, dr]) => ({ q: triad.q + dq, r: triad.r + dr }));
+}
+
+function triadName(triad) {
+    return `${latticeNoteName(triad.q, triad.r)}${triad.type === 'minor' ? 'm' : ''}`;
+}
+
+function applyBasicTransformation(triad, step) {
+    const cells = triadCells(triad);
+    const flipped = FLIPPED_TONE[triad.type][step];
+    const [a, b] = cells.filter((cell, i) => i !== flipped);
+    const c = cells[flipped];
+
+    // Reflect the flipped tone across the opposite edge
+    const newCell = { q: a.q + b.q - c.q, r: a.r + b.r - c.r };
+    const newCells = [a, b, newCell];
+    const newType = triad.type === 'major' ? 'minor' : 'major';
+
+    // Find which of the three is the root of the new triangle
+    const keys = new Set(newCells.map(cell => `${cell.q},${cell.r}`));
+    const root = newCells.find(cell => {
+        const candidate = triadCells({ q: cell.q, r: cell.r, type: newType });
+        return candidate.every(other => keys.has(`${other.q},${other.r}`));
+    });
+    return { q: root.q, r: root.r, type: newType };
+}
+
+function applyTransformation(triad, op) {
+    return TRANSFORMATIONS[op].steps.reduce(applyBasicTransformation, triad);
+}
+
+// A sequence of triads reached by transformations, with a cursor for
+// stepping back and forth
+class TriadWalk {
+    constructor() {
+        this.steps = []; // [{ triad, op }], op is null for the starting triad
+        this.index = -1;
+    }
+
+    get current() {
+        return this.index >= 0 ? this.steps[this.index].triad : null;
+    }
+
+    start(triad) {
+        this.steps = [{ triad, op: null }];
+        this.index = 0;
+        return triad;
+    }
+
+    // Apply op to the current triad; anything after the cursor is discarded
+    apply(op) {
+        const triad = applyTransformation(this.current, op);
+        this.steps = this.steps.slice(0, this.index + 1);
+        this.steps.push({ triad, op });
+        this.index++;
+        return triad;
+    }
+
+    goTo(index) {
+        if (index < 0 || index >= this.steps.length) return null;
+        this.index = index;
+        return this.current;
+    }
+
+    back() {
+        return this.goTo(this.index - 1);
+    }
+
+    forward() {
+        return this.goTo(this.index + 1);
+    }
+
+    clear() {
+        this.steps = [];
+        this.index = -1;
+    }
+}
@@ -0,0 +1,169 @@
+// Colour schemes for the tiles, and light and dark themes.
+//
+// A scheme gives every tile one identifying colour. The theme then derives
+// the resting fill and the highlight of a sounding tile from it, so every
+// scheme works in either theme. Colours are [r, g, b] arrays, 0-255.
+//
+// Schemes are called with:
+//   semitones  pitch above C in the octave (0-12, fractional in just tunings)
+//   fifths     place on the line of fifths relative to the tonic
+//   interval   12-TET pitch class above the tonic (0-11)
+
+// Okabe & Ito's palette, designed to stay distinct for colour-blind viewers
+const OKABE_ITO = {
+    orange: [230, 159, 0],
+    skyBlue: [86, 180, 233],
+    green: [0, 158, 115],
+    yellow: [240, 228, 66],
+    blue: [0, 114, 178],
+    vermillion: [213, 94, 0],
+    purple: [204, 121, 167]
+};
+
+// Viridis at 12 even steps: ordered in lightness, and readable with every
+// common kind of colour blindness
+const VIRIDIS = [
+    [68, 1, 84], [72, 33, 115], [67, 62, 133], [56, 88, 140], [45, 112, 142], [37, 133, 142],
+    [30, 155, 138], [42, 176, 127], [82, 197, 105], [134, 213, 73], [194, 223, 35], [253, 231, 37]
+];
+
+// Pitch classes above the tonic from most to least consonant
+const CONSONANCE_ORDER = [0, 7, 5, 4, 9, 3, 8, 2, 10, 11, 1, 6];
+
+function hslToRgb(h, s, l) {
+    const hue = ((h % 360) + 360) % 360;
+    const c = (1 - Math.abs(2 * l - 1)) * s;
+    const x = c * (1 - Math.abs((hue / 60) % 2 - 1));
+    const m = l - c / 2;
+    const [r, g, b] = hue < 60 ? [c, x, 0] : hue < 120 ? [x, c, 0] : hue < 180 ? [0, c, x]
+        : hue < 240 ? [0, x, c] : hue < 300 ? [x, 0, c] : [c, 0, x];
+    return [(r + m) * 255, (g + m) * 255, (b + m) * 255];
+}
+
+// Move a colour towards another by amount (0-1)
+function mixColor(color, toward, amount) {
+    return color.map((channel, i) => channel + (toward[i] - channel) * amount);
+}
+
+function cssColor(color) {
+    return `rgb(${color.map(channel => Math.round(channel)).join(', ')})`;
+}
+
+// Whether dark text reads better than light text on a colour
+function isLightColor(color) {
+    const [r, g, b] = color;
+    return (0.299 * r + 0.587 * g + 0.114 * b) / 255 > 0.6;
+}
+
+const COLOR_SCHEMES = [
+    {
+        id: 'chromatic',
+        name: 'Chromatic',
+        color: ({ semitones }) => hslToRgb(semitones / 12 * 360, 0.8, 0.5)
+    },
+    {
+        // Neighbouring fifths get neighbouring hues
+        id: 'fifths',
+        name: 'Circle of fifths',
+        color: ({ fifths }) => hslToRgb(fifths / 12 * 360, 0.8, 0.5)
+    },
+    {
+        // Blue for the tonic and perfect intervals, through purple and red
+        // to orange for the most dissonant
+        id: 'consonance',
+        name: 'Consonance with the tonic',
+        color: ({ interval }) => hslToRgb(210 + CONSONANCE_ORDER.indexOf(interval) / 11 * 180, 0.75, 0.5)
+    },
+    {
+        id: 'monochrome',
+        name: 'Monochrome (high contrast)',
+        monochrome: true,
+        color: () => [128, 128, 128]
+    },
+    {
+        // One colour per interval class, so a chord's make-up shows at a glance
+        id: 'okabe-ito',
+        name: 'Colour-blind safe: interval classes',
+        color: ({ interval }) => {
+            const intervalClass = Math.min(interval, 12 - interval);
+            return [
+                OKABE_ITO.yellow, OKABE_ITO.vermillion, OKABE_ITO.orange, OKABE_ITO.blue,
+                OKABE_ITO.green, OKABE_ITO.skyBlue, OKABE_ITO.purple
+            ][intervalClass];
+        }
+    },
+    {
+        // Dark on the flat side of the tonic, bright on the sharp side
+        id: 'viridis',
+        name: 'Colour-blind safe: flat to sharp',
+        color: ({ fifths }) => VIRIDIS[(((fifths + 5) % 12) + 12) % 12]
+    }
+];
+
+function getColorScheme(id) {
+    return COLOR_SCHEMES.find(scheme => scheme.id === id) || COLOR_SCHEMES[0];
+}
+
+// How each theme turns a scheme colour into tile fills, plus the colours it
+// draws everything else on the canvas with. The page chrome follows the
+// 'theme-light' class on <body>.
+const THEMES = [
+    {
+        id: 'dark',
+        name: 'Dark',
+        background: '#111111',
+        restingMix: [[0, 0, 0], 0.4],
+        activeMix: [[255, 255, 255], 0.4],
+        monochromeResting: [38, 38, 38],
+        monochromeActive: [245, 245, 245],
+        dim: 'rgba(0, 0, 0, 0.6)',
+        dimmedLight: false,
+        outline: '#ffffff',
+        tonicOutline: '#cccccc',
+        reference: '#ffd54f',
+        playhead: '#4dd0e1',
+        chordFill: 'rgba(255, 255, 255, 0.25)',
+        chordStroke: 'rgba(255, 255, 255, 0.8)',
+        labelBox: 'rgba(0, 0, 0, 0.7)',
+        labelText: '#ffffff'
+    },
+    {
+        id: 'light',
+        name: 'Light',
+        background: '#f4f4f0',
+        restingMix: [[255, 255, 255], 0.55],
+        activeMix: [[0, 0, 0], 0.1],
+        monochromeResting: [235, 235, 235],
+        monochromeActive: [20, 20, 20],
+        dim: 'rgba(255, 255, 255, 0.65)',
+        dimmedLight: true,
+        outline: '#000000',
+        tonicOutline: '#555555',
+        reference: '#e65100',
+        playhead: '#00838f',
+        chordFill: 'rgba(0, 0, 0, 0.15)',
+        chordStroke: 'rgba(0, 0, 0, 0.7)',
+        labelBox: 'rgba(255, 255, 255, 0.85)',
+        labelText: '#000000'
+    }
+];
+
+function getTheme(id) {
+    return THEMES.find(theme => theme.id === id) || THEMES[0];
+}
+
+// Resting or active fill of a tile: { fill, light } where light says to
+// draw dark text on it. octaves lightens or darkens it for its register.
+function tileColor(scheme, theme, info, active, octaves = 0) {
+    let color;
+    if (scheme.monochrome) {
+        color = active ? theme.monochromeActive : theme.monochromeResting;
+    } else {
+        const [toward, amount] = active ? theme.activeMix : theme.restingMix;
+        color = mixColor(scheme.color(info), toward, amount);
+    }
+    if (octaves !== 0) {
+        color = mixColor(color, octaves > 0 ? [255, 255, 255] : [0, 0, 0], Math.min(0.6, 0.1 * Math.abs(octaves)));
+    }
+    return { fill: cssColor(color), light: isLightColor(color) };
+}
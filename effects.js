@@ -0,0 +1,201 @@
+// Effects rack on the master bus: chorus -> stereo delay -> reverb.
+//
+// Every effect mixes its wet signal with the dry one and can be bypassed.
+// Settings look like DEFAULT_EFFECTS; times are in seconds except the chorus
+// depth, which is in milliseconds.
+
+const DEFAULT_EFFECTS = {
+    chorus: { enabled: false, mix: 0.5, rate: 0.8, depth: 3 },
+    delay: { enabled: false, mix: 0.25, time: 0.3, feedback: 0.35 },
+    reverb: { enabled: false, mix: 0.25, decay: 2.5 },
+    // Spread voices across the stereo field by their q coordinate
+    pan: { enabled: false, width: 0.6 }
+};
+
+// Fill in anything saved settings leave out
+function normalizeEffects(settings = {}) {
+    const effects = {};
+    Object.keys(DEFAULT_EFFECTS).forEach(name => {
+        effects[name] = { ...DEFAULT_EFFECTS[name], ...(settings[name] || {}) };
+        effects[name].enabled = Boolean(effects[name].enabled);
+    });
+    return effects;
+}
+
+// Stereo noise with an exponential decay, reaching -60 dB after decay seconds
+function generateImpulseResponse(context, decay) {
+    const length = Math.max(1, Math.round(decay * context.sampleRate));
+    const buffer = context.createBuffer(2, length, context.sampleRate);
+    for (let ch = 0; ch < 2; ch++) {
+        const data = buffer.getChannelData(ch);
+        for (let i = 0; i < length; i++) {
+            data[i] = (Math.random() * 2 - 1) * Math.exp(-6.9 * i / length);
+        }
+    }
+    return buffer;
+}
+
+// Wet/dry mixing and bypass shared by every effect. Subclasses route
+// this.send through their processing into this.wet.
+class Effect {
+    constructor(context) {
+        this.context = context;
+        this.input = context.createGain();
+        this.output = context.createGain();
+        this.dry = context.createGain();
+        this.wet = context.createGain();
+        this.send = context.createGain();
+
+        this.input.connect(this.dry);
+        this.dry.connect(this.output);
+        this.wet.connect(this.output);
+        this.wet.gain.value = 0;
+
+        this.enabled = false;
+    }
+
+    setMix(enabled, mix) {
+        // Bypassed effects are cut off from the input so they cost nothing
+        if (enabled && !this.enabled) this.input.connect(this.send);
+        if (!enabled && this.enabled) this.input.disconnect(this.send);
+        this.enabled = enabled;
+
+        const now = this.context.currentTime;
+        this.dry.gain.setTargetAtTime(enabled ? 1 - mix : 1, now, 0.02);
+        this.wet.gain.setTargetAtTime(enabled ? mix : 0, now, 0.02);
+    }
+}
+
+// Two short delays swept in opposite directions by one LFO
+class Chorus extends Effect {
+    constructor(context) {
+        super(context);
+        const merger = context.createChannelMerger(2);
+        this.left = context.createDelay(0.1);
+        this.right = context.createDelay(0.1);
+        this.lfo = context.createOscillator();
+        this.depthLeft = context.createGain();
+        this.depthRight = context.createGain();
+
+        this.send.connect(this.left);
+        this.send.connect(this.right);
+        this.left.connect(merger, 0, 0);
+        this.right.connect(merger, 0, 1);
+        merger.connect(this.wet);
+
+        this.lfo.connect(this.depthLeft);
+        this.lfo.connect(this.depthRight);
+        this.depthLeft.connect(this.left.delayTime);
+        this.depthRight.connect(this.right.delayTime);
+        this.lfo.start();
+    }
+
+    set({ enabled, mix, rate, depth }) {
+        const now = this.context.currentTime;
+        const sweep = depth / 1000;
+        // Centre the sweep so the delay never reaches zero
+        this.left.delayTime.setTargetAtTime(0.012 + sweep, now, 0.02);
+        this.right.delayTime.setTargetAtTime(0.012 + sweep, now, 0.02);
+        this.depthLeft.gain.setTargetAtTime(sweep, now, 0.02);
+        this.depthRight.gain.setTargetAtTime(-sweep, now, 0.02);
+        this.lfo.frequency.setTargetAtTime(rate, now, 0.02);
+        this.setMix(enabled, mix);
+    }
+}
+
+// Ping-pong delay: each repeat alternates between left and right
+class StereoDelay extends Effect {
+    constructor(context) {
+        super(context);
+        const merger = context.createChannelMerger(2);
+        this.left = context.createDelay(2);
+        this.right = context.createDelay(2);
+        this.feedback = context.createGain();
+        const mono = context.createGain();
+        mono.channelCount = 1;
+        mono.channelCountMode = 'explicit';
+
+        this.send.connect(mono);
+        mono.connect(this.left);
+        this.left.connect(this.right);
+        this.right.connect(this.feedback);
+        this.feedback.connect(this.left);
+
+        this.left.connect(merger, 0, 0);
+        this.right.connect(merger, 0, 1);
+        merger.connect(this.wet);
+    }
+
+    set({ enabled, mix, time, feedback }) {
+        const now = this.context.currentTime;
+        this.left.delayTime.setTargetAtTime(time, now, 0.02);
+        this.right.delayTime.setTargetAtTime(time, now, 0.02);
+        // The loop runs through both delays, so feedback applies once per pair
+        this.feedback.gain.setTargetAtTime(Math.min(0.95, feedback) ** 2, now, 0.02);
+        this.setMix(enabled, mix);
+    }
+}
+
+// Convolution reverb with a generated impulse response, or a loaded one
+class Reverb extends Effect {
+    constructor(context) {
+        super(context);
+        this.convolver = context.createConvolver();
+        this.send.connect(this.convolver);
+        this.convolver.connect(this.wet);
+
+        this.decay = null;
+        this.loadedImpulse = null;
+    }
+
+    set({ enabled, mix, decay }) {
+        if (!this.loadedImpulse && decay !== this.decay) {
+            this.convolver.buffer = generateImpulseResponse(this.context, decay);
+        }
+        this.decay = decay;
+        this.setMix(enabled, mix);
+    }
+
+    // Use a recorded impulse response (an AudioBuffer), or null to go back to
+    // the generated one
+    setImpulse(buffer) {
+        this.loadedImpulse = buffer;
+        this.convolver.buffer = buffer || generateImpulseResponse(this.context, this.decay || DEFAULT_EFFECTS.reverb.decay);
+    }
+}
+
+class EffectsRack {
+    constructor(context) {
+        this.context = context;
+        this.chorus = new Chorus(context);
+        this.delay = new StereoDelay(context);
+        this.reverb = new Reverb(context);
+
+        this.input = this.chorus.input;
+        this.chorus.output.connect(this.delay.input);
+        this.delay.output.connect(this.reverb.input);
+        this.output = this.reverb.output;
+
+        this.settings = normalizeEffects();
+        this.apply(this.settings);
+    }
+
+    apply(settings) {
+        this.settings = normalizeEffects(settings);
+        this.chorus.set(this.settings.chorus);
+        this.delay.set(this.settings.delay);
+        this.reverb.set(this.settings.reverb);
+    }
+
+    // Stereo position (-1 to 1) for a cell q steps away from the centre, or
+    // null when panning is off
+    panFor(q) {
+        const { enabled, width } = this.settings.pan;
+        if (!enabled) return null;
+        return Math.max(-1, Math.min(1, width * q / 4));
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DEFAULT_EFFECTS, normalizeEffects, generateImpulseResponse, EffectsRack };
+}
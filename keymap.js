@@ -0,0 +1,75 @@
+// Playing the lattice from a computer keyboard.
+//
+// The four letter and number rows are staggered like hexes, so each row maps
+// onto a row of cells: along a row every key is a fifth (r) step, and each
+// row down is a major third (q) lower and a fifth higher, half a cell to the
+// right: a minor third up in pitch. Keys are matched by physical position
+// (KeyboardEvent.code), so the shape is the same on any layout.
+
+const KEYMAP_ROWS = [
+    ['Digit1', 'Digit2', 'Digit3', 'Digit4', 'Digit5', 'Digit6', 'Digit7', 'Digit8', 'Digit9', 'Digit0', 'Minus', 'Equal'],
+    ['KeyQ', 'KeyW', 'KeyE', 'KeyR', 'KeyT', 'KeyY', 'KeyU', 'KeyI', 'KeyO', 'KeyP', 'BracketLeft', 'BracketRight'],
+    ['KeyA', 'KeyS', 'KeyD', 'KeyF', 'KeyG', 'KeyH', 'KeyJ', 'KeyK', 'KeyL', 'Semicolon', 'Quote'],
+    ['KeyZ', 'KeyX', 'KeyC', 'KeyV', 'KeyB', 'KeyN', 'KeyM', 'Comma', 'Period', 'Slash']
+];
+
+// The anchor cell sits under G, in the middle of the home row
+const ANCHOR_ROW = 2;
+const ANCHOR_COLUMN = 4;
+
+const PUNCTUATION_LABELS = {
+    Minus: '-', Equal: '=', BracketLeft: '[', BracketRight: ']',
+    Semicolon: ';', Quote: "'", Comma: ',', Period: '.', Slash: '/'
+};
+
+class HexKeymap {
+    constructor() {
+        this.enabled = false;
+        this.anchor = { q: 0, r: 0 };
+
+        // code -> { row, column } and code -> printed label
+        this.positions = new Map();
+        this.labels = new Map();
+        KEYMAP_ROWS.forEach((row, rowIndex) => {
+            row.forEach((code, column) => {
+                this.positions.set(code, { row: rowIndex, column });
+                this.labels.set(code, PUNCTUATION_LABELS[code] || code.replace(/^(Key|Digit)/, ''));
+            });
+        });
+    }
+
+    // Label keys with what the user's layout prints on them, where the
+    // browser can tell us
+    loadLayoutLabels() {
+        if (!navigator.keyboard || !navigator.keyboard.getLayoutMap) return Promise.resolve();
+        return navigator.keyboard.getLayoutMap().then(layout => {
+            this.positions.forEach((position, code) => {
+                const label = layout.get(code);
+                if (label) this.labels.set(code, label.toUpperCase());
+            });
+        }).catch(() => {});
+    }
+
+    // The cell a key plays, or null for keys outside the map
+    cellFor(code) {
+        const position = this.positions.get(code);
+        if (!position) return null;
+        return {
+            q: this.anchor.q + ANCHOR_ROW - position.row,
+            r: this.anchor.r + position.column - ANCHOR_COLUMN + position.row - ANCHOR_ROW
+        };
+    }
+
+    // Every mapped cell, as { code, label, q, r }
+    cells() {
+        return Array.from(this.positions.keys()).map(code => ({
+            code,
+            label: this.labels.get(code),
+            ...this.cellFor(code)
+        }));
+    }
+
+    moveAnchor(dq, dr) {
+        this.anchor = { q: this.anchor.q + dq, r: this.anchor.r + dr };
+    }
+}
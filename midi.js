@@ -0,0 +1,611 @@
+// Web MIDI input and output for the lattice.
+
+// One MIDIAccess shared by input and output
+let midiAccessPromise = null;
+function requestMidiAccess() {
+    if (typeof navigator === 'undefined' || !navigator.requestMIDIAccess) {
+        return Promise.reject(new Error('Web MIDI is not supported in this browser'));
+    }
+    if (!midiAccessPromise) {
+        midiAccessPromise = navigator.requestMIDIAccess().catch(err => {
+            midiAccessPromise = null;
+            throw err;
+        });
+    }
+    return midiAccessPromise;
+}
+
+// Output for driving external synths from the lattice.
+//
+// In 'mpe' mode every sounding hex gets its own member channel, and a pitch
+// bend on that channel carries the just-intonation drift, so the synth plays
+// the true ratios rather than 12-TET. In 'tet' mode notes are rounded to plain
+// 12-TET note numbers on a single channel for gear without MPE.
+class MidiOutput {
+    constructor() {
+        this.access = null;
+        this.output = null;
+
+        // 'mpe' or 'tet'
+        this.mode = 'mpe';
+
+        // Channels are 1-based, as printed on synths. In MPE mode the notes use
+        // firstChannel..lastChannel and the zone's master channel sits just
+        // below them; in 12-TET mode only firstChannel is used.
+        this.firstChannel = 2;
+        this.lastChannel = 16;
+
+        // Pitch bend range in semitones (48 is the MPE default)
+        this.bendRange = 48;
+        this.velocity = 100;
+
+        this.notes = new Map();       // key -> { channel, note }
+        this.noteCounts = new Map();  // "channel:note" -> hexes holding it
+        this.freeChannels = [];       // least recently used first
+
+        this.onDevicesChanged = null;
+
+        this.resetChannels();
+    }
+
+    get supported() {
+        return typeof navigator !== 'undefined' && !!navigator.requestMIDIAccess;
+    }
+
+    get enabled() {
+        return !!this.output;
+    }
+
+    requestAccess() {
+        if (this.access) return Promise.resolve(this.access);
+
+        return requestMidiAccess().then(access => {
+            this.access = access;
+            access.addEventListener('statechange', () => {
+                // Drop the output if its device went away
+                if (this.output && this.output.state === 'disconnected') {
+                    this.output = null;
+                    this.notes.clear();
+                    this.noteCounts.clear();
+                    this.resetChannels();
+                }
+                if (this.onDevicesChanged) this.onDevicesChanged(this.getOutputs());
+            });
+            return access;
+        });
+    }
+
+    getOutputs() {
+        if (!this.access) return [];
+        return Array.from(this.access.outputs.values()).map(output => ({
+            id: output.id,
+            name: output.name
+        }));
+    }
+
+    selectOutput(id) {
+        this.allNotesOff();
+        this.output = (this.access && id) ? this.access.outputs.get(id) || null : null;
+        this.configure();
+    }
+
+    setMode(mode) {
+        this.allNotesOff();
+        this.mode = mode === 'tet' ? 'tet' : 'mpe';
+        this.configure();
+    }
+
+    setChannelRange(first, last) {
+        this.allNotesOff();
+        first = Math.max(1, Math.min(16, Math.round(first) || 1));
+        last = Math.max(first, Math.min(16, Math.round(last) || first));
+        this.firstChannel = first;
+        this.lastChannel = last;
+        this.configure();
+    }
+
+    setBendRange(semitones) {
+        this.allNotesOff();
+        this.bendRange = Math.max(1, Math.min(96, Math.round(semitones) || 48));
+        this.configure();
+    }
+
+    resetChannels() {
+        this.freeChannels = [];
+        for (let ch = this.firstChannel; ch <= this.lastChannel; ch++) {
+            this.freeChannels.push(ch);
+        }
+    }
+
+    // Announce the MPE zone and set the pitch bend range on every member channel
+    configure() {
+        this.resetChannels();
+        if (!this.output || this.mode !== 'mpe') return;
+
+        const masterChannel = this.firstChannel - 1;
+        if (masterChannel >= 1) {
+            // MPE Configuration Message (RPN 6): number of member channels
+            this.sendRPN(masterChannel, 0x0006, this.lastChannel - this.firstChannel + 1);
+        }
+        for (let ch = this.firstChannel; ch <= this.lastChannel; ch++) {
+            this.sendRPN(ch, 0x0000, this.bendRange);
+        }
+    }
+
+    sendRPN(channel, parameter, value) {
+        const status = 0xB0 | (channel - 1);
+        this.output.send([
+            status, 101, (parameter >> 7) & 0x7F,
+            status, 100, parameter & 0x7F,
+            status, 6, value & 0x7F,
+            status, 38, 0,
+            // Null RPN so later data entry doesn't change it by accident
+            status, 101, 127,
+            status, 100, 127
+        ]);
+    }
+
+    sendPitchBend(channel, semitones) {
+        const value = Math.max(0, Math.min(16383, Math.round(8192 + semitones / this.bendRange * 8192)));
+        this.output.send([0xE0 | (channel - 1), value & 0x7F, (value >> 7) & 0x7F]);
+    }
+
+    // pitchInfo comes from HexGrid.getPitchInfo
+    noteOn(key, pitchInfo) {
+        if (!this.output) return;
+
+        this.noteOff(key);
+
+        const note = Math.max(0, Math.min(127, 60 + pitchInfo.tetSemitones));
+        let channel;
+
+        if (this.mode === 'mpe') {
+            if (this.freeChannels.length === 0) {
+                // Steal the channel of the oldest sounding note
+                const oldestKey = this.notes.keys().next().value;
+                this.noteOff(oldestKey);
+            }
+            channel = this.freeChannels.shift();
+            this.sendPitchBend(channel, pitchInfo.drift);
+        } else {
+            channel = this.firstChannel;
+        }
+
+        // Several hexes can share a 12-TET note; only the first sends note-on
+        // and only the last sends note-off
+        const countKey = `${channel}:${note}`;
+        const count = this.noteCounts.get(countKey) || 0;
+        if (count === 0) {
+            this.output.send([0x90 | (channel - 1), note, this.velocity]);
+        }
+        this.noteCounts.set(countKey, count + 1);
+        this.notes.set(key, { channel, note });
+    }
+
+    noteOff(key) {
+        const held = this.notes.get(key);
+        if (!held) return;
+        this.notes.delete(key);
+
+        const { channel, note } = held;
+        const countKey = `${channel}:${note}`;
+        const count = (this.noteCounts.get(countKey) || 1) - 1;
+        if (count > 0) {
+            this.noteCounts.set(countKey, count);
+        } else {
+            this.noteCounts.delete(countKey);
+            if (this.output) this.output.send([0x80 | (channel - 1), note, 0]);
+        }
+
+        if (this.mode === 'mpe' && channel >= this.firstChannel && channel <= this.lastChannel) {
+            this.freeChannels.push(channel);
+        }
+    }
+
+    allNotesOff() {
+        if (this.output) {
+            for (let ch = 1; ch <= 16; ch++) {
+                this.output.send([0xB0 | (ch - 1), 123, 0]);
+            }
+        }
+        this.notes.clear();
+        this.noteCounts.clear();
+        this.resetChannels();
+    }
+}
+
+// Input from keyboards and sequencers. Only reports note events; placing
+// them on the lattice is left to LatticeSpeller.
+class MidiInput {
+    constructor() {
+        this.access = null;
+
+        // '' (off), 'all', or the id of a single input
+        this.inputId = '';
+
+        this.onNoteOn = null;   // (note, velocity, channel)
+        this.onNoteOff = null;  // (note, channel)
+        this.onControlChange = null; // (controller, value, channel)
+        this.onDevicesChanged = null;
+        this.closed = false;
+
+        this.handleMessage = this.handleMessage.bind(this);
+        this.handleStateChange = this.handleStateChange.bind(this);
+    }
+
+    get enabled() {
+        return this.inputId !== '';
+    }
+
+    requestAccess() {
+        if (this.access) return Promise.resolve(this.access);
+
+        return requestMidiAccess().then(access => {
+            if (this.closed) return access;
+            this.access = access;
+            access.addEventListener('statechange', this.handleStateChange);
+            return access;
+        });
+    }
+
+    // Pick up devices plugged in after selecting 'all'
+    handleStateChange() {
+        this.listen();
+        if (this.onDevicesChanged) this.onDevicesChanged(this.getInputs());
+    }
+
+    // Stop listening for good. The access is shared with other grids, so
+    // only this input's own handlers come off.
+    close() {
+        this.closed = true;
+        this.onNoteOn = null;
+        this.onNoteOff = null;
+        this.onControlChange = null;
+        this.onDevicesChanged = null;
+        if (!this.access) return;
+        this.access.removeEventListener('statechange', this.handleStateChange);
+        this.access.inputs.forEach(input => {
+            if (input.onmidimessage === this.handleMessage) input.onmidimessage = null;
+        });
+        this.access = null;
+    }
+
+    getInputs() {
+        if (!this.access) return [];
+        return Array.from(this.access.inputs.values()).map(input => ({
+            id: input.id,
+            name: input.name
+        }));
+    }
+
+    selectInput(id) {
+        this.inputId = id || '';
+        this.listen();
+    }
+
+    listen() {
+        if (!this.access) return;
+        this.access.inputs.forEach(input => {
+            const wanted = this.inputId === 'all' || this.inputId === input.id;
+            input.onmidimessage = wanted ? this.handleMessage : null;
+        });
+    }
+
+    handleMessage(e) {
+        const [status, data1, data2] = e.data;
+        const type = status & 0xF0;
+        const channel = (status & 0x0F) + 1;
+
+        if (type === 0x90 && data2 > 0) {
+            if (this.onNoteOn) this.onNoteOn(data1, data2, channel);
+        } else if (type === 0x80 || type === 0x90) {
+            // Note-on with velocity 0 is a note-off
+            if (this.onNoteOff) this.onNoteOff(data1, channel);
+        } else if (type === 0xB0) {
+            if (this.onControlChange) this.onControlChange(data1, data2, channel);
+        }
+    }
+}
+
+// Picks a lattice cell for a 12-TET pitch class. Every pitch class appears
+// many times on the lattice (q steps by major thirds, r by fifths), so the
+// speller chooses the copy closest to the cells already sounding. That keeps
+// a C-E-G chord on one triangle instead of scattered enharmonic copies.
+class LatticeSpeller {
+    constructor() {
+        // How far around the reference cell to look for candidates
+        this.searchRadius = 6;
+    }
+
+    pitchClassAt(q, r) {
+        return (((4 * q + 7 * r) % 12) + 12) % 12;
+    }
+
+    distance(a, b) {
+        const dq = a.q - b.q;
+        const dr = a.r - b.r;
+        return (Math.abs(dq) + Math.abs(dr) + Math.abs(dq + dr)) / 2;
+    }
+
+    // context: cells [{ q, r, weight? }] the new note should stay close to
+    // home: fallback reference when there is no context (e.g. the view center)
+    spell(pitchClass, context = [], home = { q: 0, r: 0 }) {
+        pitchClass = ((pitchClass % 12) + 12) % 12;
+
+        let reference = home;
+        let totalWeight = 0;
+        if (context.length > 0) {
+            let sumQ = 0;
+            let sumR = 0;
+            context.forEach(cell => {
+                const weight = cell.weight === undefined ? 1 : cell.weight;
+                sumQ += cell.q * weight;
+                sumR += cell.r * weight;
+                totalWeight += weight;
+            });
+            if (totalWeight > 0) {
+                reference = { q: Math.round(sumQ / totalWeight), r: Math.round(sumR / totalWeight) };
+            }
+        }
+
+        let best = null;
+        let bestCost = Infinity;
+        const radius = this.searchRadius;
+
+        for (let q = reference.q - radius; q <= reference.q + radius; q++) {
+            for (let r = reference.r - radius; r <= reference.r + radius; r++) {
+                if (this.pitchClassAt(q, r) !== pitchClass) continue;
+
+                const cell = { q, r };
+                let cost = 0;
+                if (totalWeight > 0) {
+                    context.forEach(other => {
+                        const weight = other.weight === undefined ? 1 : other.weight;
+                        cost += this.distance(cell, other) * weight;
+                    });
+                    cost /= totalWeight;
+                }
+                // Small pull toward home breaks ties and stops drifting away
+                cost += this.distance(cell, home) * 0.01;
+
+                if (cost < bestCost) {
+                    bestCost = cost;
+                    best = cell;
+                }
+            }
+        }
+
+        return best;
+    }
+
+    // Cells for pitch classes that start together, chosen jointly rather
+    // than one by one so the chord comes out compact: the cost is the sum of
+    // the distances between every pair of its cells, including the fixed
+    // cells of notes still sounding, plus a pull toward centre, where the
+    // music has been. Returns a cell for each pitch class, in order.
+    spellChord(pitchClasses, fixed = [], centre = { q: 0, r: 0 }, pull = 0.5) {
+        const home = { q: Math.round(centre.q), r: Math.round(centre.r) };
+        const radius = 3;
+
+        // The copies of each pitch class nearest the centre
+        const candidates = pitchClasses.map(pitchClass => {
+            const cells = [];
+            for (let q = home.q - radius; q <= home.q + radius; q++) {
+                for (let r = home.r - radius; r <= home.r + radius; r++) {
+                    if (this.pitchClassAt(q, r) === pitchClass) {
+                        cells.push({ q, r, pull: this.distance({ q, r }, centre) * pull });
+                    }
+                }
+            }
+            return cells.sort((a, b) => a.pull - b.pull).slice(0, 4);
+        });
+
+        let best = null;
+        let bestCost = Infinity;
+        const chosen = [];
+        const search = (index, cost) => {
+            if (cost >= bestCost) return;
+            if (index === pitchClasses.length) {
+                bestCost = cost;
+                best = chosen.slice();
+                return;
+            }
+            candidates[index].forEach(cell => {
+                let added = cell.pull;
+                fixed.forEach(other => {
+                    added += this.distance(cell, other);
+                });
+                chosen.forEach(other => {
+                    added += this.distance(cell, other);
+                });
+                chosen.push({ q: cell.q, r: cell.r });
+                search(index + 1, cost + added);
+                chosen.pop();
+            });
+        };
+        search(0, 0);
+        return best;
+    }
+}
+
+// Standard MIDI File writing
+
+function writeVariableLength(value, out) {
+    const bytes = [value & 0x7F];
+    value >>= 7;
+    while (value > 0) {
+        bytes.unshift((value & 0x7F) | 0x80);
+        value >>= 7;
+    }
+    out.push(...bytes);
+}
+
+function writeUint32(value, out) {
+    out.push((value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF);
+}
+
+// Encode a single-track (format 0) file from [{ tick, data }], where data
+// holds the raw bytes of a channel or meta event. Events at the same tick
+// keep their order.
+function encodeMidiFile(events, ticksPerQuarter = 480) {
+    const sorted = events
+        .map((event, i) => ({ ...event, i }))
+        .sort((a, b) => a.tick - b.tick || a.i - b.i);
+
+    const track = [];
+    let lastTick = 0;
+    sorted.forEach(event => {
+        writeVariableLength(event.tick - lastTick, track);
+        track.push(...event.data);
+        lastTick = event.tick;
+    });
+    // End of track
+    track.push(0x00, 0xFF, 0x2F, 0x00);
+
+    const out = [];
+    out.push(0x4D, 0x54, 0x68, 0x64); // MThd
+    writeUint32(6, out);
+    out.push(0x00, 0x00);             // format 0
+    out.push(0x00, 0x01);             // one track
+    out.push((ticksPerQuarter >> 8) & 0xFF, ticksPerQuarter & 0xFF);
+    out.push(0x4D, 0x54, 0x72, 0x6B); // MTrk
+    writeUint32(track.length, out);
+    out.push(...track);
+
+    return new Uint8Array(out);
+}
+
+// Standard MIDI File reading
+
+// The notes of a Standard MIDI File (format 0, 1 or 2) as
+// [{ time, duration, note, velocity, channel }], times in seconds following
+// the file's tempo changes, sorted by time. Drums (channel 10) are left out,
+// having no pitch to place. Throws if the file can't be read.
+function parseMidiFile(bytes) {
+    const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    let pos = 0;
+
+    const byte = () => {
+        if (pos >= data.length) throw new Error('The MIDI file ends too soon');
+        return data[pos++];
+    };
+    const uint = (length) => {
+        let value = 0;
+        for (let i = 0; i < length; i++) value = value * 256 + byte();
+        return value;
+    };
+    const variableLength = () => {
+        let value = 0;
+        let next;
+        do {
+            next = byte();
+            value = value * 128 + (next & 0x7F);
+        } while (next & 0x80);
+        return value;
+    };
+    const chunkType = () => String.fromCharCode(byte(), byte(), byte(), byte());
+
+    if (data.length < 14 || chunkType() !== 'MThd') throw new Error('Not a Standard MIDI File');
+    const headerLength = uint(4);
+    uint(2); // format: tracks are merged whatever it is
+    const trackCount = uint(2);
+    const division = uint(2);
+    pos = 8 + headerLength;
+
+    // Ticks are fractions of a quarter note, or with SMPTE timing of a frame
+    const smpte = (division & 0x8000) !== 0;
+    const ticksPerSecond = smpte ? (256 - (division >> 8)) * (division & 0xFF) : 0;
+    const ticksPerQuarter = smpte ? 0 : division;
+
+    const tempos = [];   // { tick, perQuarter } in microseconds
+    const pending = [];  // { startTick, endTick, note, velocity, channel }
+
+    for (let track = 0; track < trackCount && pos < data.length; track++) {
+        const type = chunkType();
+        const end = pos + 4 + uint(4);
+        if (type !== 'MTrk') {
+            pos = end;
+            continue;
+        }
+
+        let tick = 0;
+        // Channel messages may leave out a status byte repeating the last one
+        let runningStatus = 0;
+        const open = new Map(); // "channel:note" -> notes started, oldest first
+        while (pos < end) {
+            tick += variableLength();
+            const status = data[pos] & 0x80 ? byte() : runningStatus;
+
+            if (status === 0xFF) {
+                const metaType = byte();
+                const length = variableLength();
+                if (metaType === 0x51 && length === 3) {
+                    tempos.push({ tick, perQuarter: uint(3) });
+                } else {
+                    pos += length;
+                }
+                if (metaType === 0x2F) break;
+                continue;
+            }
+            if (status === 0xF0 || status === 0xF7) {
+                pos += variableLength();
+                continue;
+            }
+            if (!(status & 0x80)) throw new Error('The MIDI file is damaged');
+            runningStatus = status;
+
+            const kind = status & 0xF0;
+            const channel = (status & 0x0F) + 1;
+            const data1 = byte();
+            const data2 = kind === 0xC0 || kind === 0xD0 ? 0 : byte();
+            if (kind !== 0x80 && kind !== 0x90) continue;
+
+            // Overlapping notes of one pitch end in the order they started
+            const key = `${channel}:${data1}`;
+            if (kind === 0x90 && data2 > 0) {
+                const note = { startTick: tick, endTick: null, note: data1, velocity: data2, channel };
+                if (!open.has(key)) open.set(key, []);
+                open.get(key).push(note);
+                pending.push(note);
+            } else if (open.has(key) && open.get(key).length > 0) {
+                open.get(key).shift().endTick = tick;
+            }
+        }
+        // Notes never let go of end with the track
+        pending.forEach(note => {
+            if (note.endTick === null) note.endTick = tick;
+        });
+        pos = end;
+    }
+
+    // Seconds at a tick, through the tempo changes before it (120 bpm until
+    // the first)
+    tempos.sort((a, b) => a.tick - b.tick);
+    const seconds = (tick) => {
+        if (smpte) return tick / ticksPerSecond;
+        let time = 0;
+        let lastTick = 0;
+        let perQuarter = 500000;
+        for (const tempo of tempos) {
+            if (tempo.tick >= tick) break;
+            time += (tempo.tick - lastTick) / ticksPerQuarter * perQuarter / 1e6;
+            lastTick = tempo.tick;
+            perQuarter = tempo.perQuarter;
+        }
+        return time + (tick - lastTick) / ticksPerQuarter * perQuarter / 1e6;
+    };
+
+    return pending
+        .filter(note => note.channel !== 10)
+        .map(note => {
+            const time = seconds(note.startTick);
+            return {
+                time,
+                duration: seconds(note.endTick) - time,
+                note: note.note,
+                velocity: note.velocity,
+                channel: note.channel
+            };
+        })
+        .sort((a, b) => a.time - b.time || a.note - b.note);
+}
@@ -0,0 +1,169 @@
+// Polyphony management and the master bus that every voice plays through.
+
+// Fade used when a voice is cut short to make room for another
+const STEAL_RELEASE_TIME = 0.02;
+
+const STEAL_POLICIES = ['oldest', 'lowest', 'highest', 'none'];
+
+// Keeps track of sounding voices and enforces a maximum polyphony. Voices in
+// their release tail count too, and are the first to go when room is needed.
+class VoicePool {
+    constructor() {
+        this.maxVoices = 16;
+        this.policy = 'oldest';
+
+        this.held = new Map();      // key -> { voice, frequency }, oldest first
+        this.releasing = new Set(); // voices fading out, oldest first
+
+        // Called with the key of a held voice that was stolen
+        this.onSteal = null;
+    }
+
+    get count() {
+        return this.held.size;
+    }
+
+    // Make room for one more voice at the given time. Returns false when the
+    // pool is full and the policy is not to steal.
+    makeRoom(time) {
+        while (this.held.size + this.releasing.size >= this.maxVoices && this.releasing.size > 0) {
+            const tail = this.releasing.values().next().value;
+            this.releasing.delete(tail);
+            releaseVoice(tail, time, STEAL_RELEASE_TIME);
+        }
+
+        if (this.held.size < this.maxVoices) return true;
+        if (this.policy === 'none') return false;
+
+        const victim = this.chooseVictim();
+        const { voice } = this.held.get(victim);
+        this.held.delete(victim);
+        releaseVoice(voice, time, STEAL_RELEASE_TIME);
+        this.cleanUpWhenDone(voice);
+        if (this.onSteal) this.onSteal(victim);
+        return true;
+    }
+
+    chooseVictim() {
+        const entries = Array.from(this.held.entries());
+        if (this.policy === 'lowest') {
+            return entries.reduce((a, b) => (b[1].frequency < a[1].frequency ? b : a))[0];
+        }
+        if (this.policy === 'highest') {
+            return entries.reduce((a, b) => (b[1].frequency > a[1].frequency ? b : a))[0];
+        }
+        return entries[0][0];
+    }
+
+    add(key, voice, frequency) {
+        this.held.set(key, { voice, frequency });
+    }
+
+    release(key, time) {
+        const held = this.held.get(key);
+        if (!held) return;
+        this.held.delete(key);
+        this.releasing.add(held.voice);
+        releaseVoice(held.voice, time);
+        this.cleanUpWhenDone(held.voice);
+    }
+
+    // Disconnect a voice once its oscillators have stopped, so quick slides
+    // don't leave a pile of silent nodes behind
+    cleanUpWhenDone(voice) {
+        const first = voice.oscillators[0];
+        if (!first) return;
+        first.onended = () => {
+            this.releasing.delete(voice);
+            voice.gainNode.disconnect();
+        };
+    }
+}
+
+// One AudioContext for every grid on the page: browsers limit how many can
+// run, and each grid's master bus then mixes into the same speakers
+let sharedAudioContext = null;
+
+function getSharedAudioContext() {
+    if (!sharedAudioContext) {
+        sharedAudioContext = new (window.AudioContext || window.webkitAudioContext)();
+    }
+    return sharedAudioContext;
+}
+
+// Voices -> voice-count scaling -> effects -> volume -> limiter -> speakers
+class MasterBus {
+    constructor(context) {
+        this.context = context;
+
+        // Voices connect here; its gain follows the number of voices sounding
+        this.input = context.createGain();
+        this.volume = context.createGain();
+        this.effects = new EffectsRack(context);
+
+        // A hard-knee, high-ratio compressor acting as a limiter
+        this.limiter = context.createDynamicsCompressor();
+        this.limiter.threshold.value = -6;
+        this.limiter.knee.value = 0;
+        this.limiter.ratio.value = 20;
+        this.limiter.attack.value = 0.003;
+        this.limiter.release.value = 0.25;
+
+        this.input.connect(this.effects.input);
+        this.effects.output.connect(this.volume);
+        this.output = context.destination;
+
+        this.limiterEnabled = true;
+        this.autoGain = true;
+        this.connectOutput();
+    }
+
+    connectOutput() {
+        this.volume.disconnect();
+        this.limiter.disconnect();
+        if (this.limiterEnabled) {
+            this.volume.connect(this.limiter);
+            this.limiter.connect(this.output);
+        } else {
+            this.volume.connect(this.output);
+        }
+    }
+
+    // Where a new voice should connect; q is its offset from the middle of
+    // the screen, used when panning by lattice position is on
+    voiceDestination(q) {
+        const pan = this.effects.panFor(q);
+        if (pan === null) return this.input;
+        const panner = this.context.createStereoPanner();
+        panner.pan.value = pan;
+        panner.connect(this.input);
+        return panner;
+    }
+
+    setVolume(volume) {
+        this.volume.gain.setTargetAtTime(volume, this.context.currentTime, 0.02);
+    }
+
+    setLimiterEnabled(enabled) {
+        this.limiterEnabled = enabled;
+        this.connectOutput();
+    }
+
+    // Scale every voice by 1/sqrt(n) so chords stay about as loud as single
+    // notes without clipping
+    setVoiceCount(count) {
+        const gain = this.autoGain ? 1 / Math.sqrt(Math.max(1, count)) : 1;
+        this.input.gain.setTargetAtTime(gain, this.context.currentTime, 0.03);
+    }
+
+    // Take the bus off the speakers, when its grid goes away
+    disconnect() {
+        this.volume.disconnect();
+        this.limiter.disconnect();
+    }
+
+    // How hard the limiter is working, in dB (0 when idle)
+    get reduction() {
+        return this.limiterEnabled ? this.limiter.reduction : 0;
+    }
+}
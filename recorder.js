@@ -0,0 +1,303 @@
+// Records performances as note events on the lattice, plays them back, and
+// converts them to and from JSON and Standard MIDI Files.
+//
+// A take looks like:
+//   { version: 1, tuning: 'ji', duration: 4.2,
+//     events: [{ t: 0.25, type: 'on', q: 1, r: 0, frequency: 327.03 }, ...] }
+// Times are in seconds from the start of the take. A take imported from a
+// MIDI file also lists its chords, as what sounds after each onset:
+//     chords: [{ t: 0, name: 'C', cells: [{ q: 0, r: 0, name: 'C' }, ...] }, ...]
+
+const TAKE_VERSION = 1;
+
+// Notes of a MIDI file starting this close together (s) are one chord
+const IMPORT_CHORD_WINDOW = 0.03;
+// How far the harmonic centre moves toward each new chord
+const IMPORT_CENTRE_FOLLOW = 0.5;
+// Shortest note an import plays, in seconds; files often have zero-length
+// grace notes and triggers
+const IMPORT_MIN_DURATION = 0.05;
+
+class Recorder {
+    constructor() {
+        this.take = null;
+        this.recording = false;
+        this.startTime = 0;
+
+        this.playing = false;
+        this.playbackTimers = [];
+    }
+
+    start(tuningId) {
+        this.stopPlayback();
+        this.take = { version: TAKE_VERSION, tuning: tuningId, duration: 0, events: [] };
+        this.recording = true;
+        this.startTime = performance.now();
+    }
+
+    stop() {
+        if (!this.recording) return;
+        this.recording = false;
+        this.take.duration = (performance.now() - this.startTime) / 1000;
+    }
+
+    record(type, q, r, frequency) {
+        if (!this.recording) return;
+        this.take.events.push({
+            t: Math.round(performance.now() - this.startTime) / 1000,
+            type,
+            q,
+            r,
+            frequency
+        });
+    }
+
+    // Replay the take in real time. onEvent gets each event as it comes due;
+    // onEnd is called when the take is over or playback is stopped.
+    play(onEvent, onEnd) {
+        if (!this.take || this.recording) return;
+        this.stopPlayback();
+        this.playing = true;
+        this.onPlaybackEnd = onEnd;
+
+        this.take.events.forEach(event => {
+            this.playbackTimers.push(setTimeout(() => onEvent(event), event.t * 1000));
+        });
+        this.playbackTimers.push(setTimeout(() => this.stopPlayback(), this.take.duration * 1000));
+    }
+
+    stopPlayback() {
+        this.playbackTimers.forEach(timer => clearTimeout(timer));
+        this.playbackTimers = [];
+        if (this.playing) {
+            this.playing = false;
+            if (this.onPlaybackEnd) this.onPlaybackEnd();
+        }
+    }
+
+    toJSON() {
+        return JSON.stringify(this.take, null, 2);
+    }
+
+    load(text) {
+        const take = JSON.parse(text);
+        if (!take || take.version !== TAKE_VERSION || !Array.isArray(take.events)) {
+            throw new Error('Not a Tonnetz take');
+        }
+        take.events.forEach(event => {
+            const valid = typeof event.t === 'number' &&
+                (event.type === 'on' || event.type === 'off') &&
+                Number.isInteger(event.q) && Number.isInteger(event.r) &&
+                typeof event.frequency === 'number';
+            if (!valid) throw new Error('Take contains an invalid event');
+        });
+        if (typeof take.duration !== 'number') {
+            take.duration = take.events.length > 0 ? take.events[take.events.length - 1].t : 0;
+        }
+
+        // The chord list is only for looking at, so bad entries are dropped
+        // rather than refusing the take
+        if (Array.isArray(take.chords)) {
+            take.chords = take.chords.filter(chord => chord &&
+                typeof chord.t === 'number' && Number.isFinite(chord.t) &&
+                typeof chord.name === 'string' &&
+                Array.isArray(chord.cells) &&
+                chord.cells.every(cell => cell && Number.isInteger(cell.q) && Number.isInteger(cell.r) &&
+                    typeof cell.name === 'string'));
+        } else {
+            delete take.chords;
+        }
+
+        this.stopPlayback();
+        this.take = take;
+        return take;
+    }
+
+    // Import the notes of a Standard MIDI File as a take, placed on the
+    // lattice by spellMidiNotes
+    loadMidiFile(bytes, tuningId) {
+        const notes = parseMidiFile(bytes);
+        if (notes.length === 0) throw new Error('The MIDI file has no notes');
+        const { events, chords } = spellMidiNotes(notes, new LatticeSpeller());
+
+        // Store what the lattice plays, as recorded takes do: the cell's
+        // tuned frequency in the octave of the MIDI note
+        const tuning = getTuning(tuningId);
+        events.forEach(event => {
+            const cell = tuning.frequency(event.q, event.r);
+            event.frequency = cell * Math.pow(2, Math.round(Math.log2(event.frequency / cell)));
+        });
+        // Ends with the last note-off, after short notes are lengthened
+        const duration = events[events.length - 1].t;
+
+        this.stopPlayback();
+        this.take = { version: TAKE_VERSION, tuning: tuningId, duration, events, chords };
+        return this.take;
+    }
+
+    // Standard MIDI File at 120 bpm. Every note gets a channel of its own
+    // with a pitch bend (range ±2 semitones, the General MIDI default) that
+    // carries its exact frequency, so the intonation survives in a DAW.
+    toMidiFile() {
+        const ticksPerQuarter = 480;
+        const ticksPerSecond = ticksPerQuarter * 2; // 120 bpm
+        const bendRange = 2;
+        const events = [];
+
+        // Channel 10 is drums on General MIDI devices
+        const channels = [1, 2, 3, 4, 5, 6, 7, 8, 9, 11, 12, 13, 14, 15, 16];
+        const freeChannels = channels.slice();
+        const sounding = new Map(); // "q,r" -> { channel, note }
+
+        // 120 bpm tempo
+        events.push({ tick: 0, data: [0xFF, 0x51, 0x03, 0x07, 0xA1, 0x20] });
+        channels.forEach(channel => {
+            // Pitch bend range (RPN 0)
+            const status = 0xB0 | (channel - 1);
+            [[101, 0], [100, 0], [6, bendRange], [38, 0]].forEach(([controller, value]) => {
+                events.push({ tick: 0, data: [status, controller, value] });
+            });
+        });
+
+        const noteOff = (key, tick) => {
+            const held = sounding.get(key);
+            if (!held) return;
+            sounding.delete(key);
+            events.push({ tick, data: [0x80 | (held.channel - 1), held.note, 0] });
+            freeChannels.push(held.channel);
+        };
+
+        this.take.events.forEach(event => {
+            const tick = Math.round(event.t * ticksPerSecond);
+            const key = `${event.q},${event.r}`;
+
+            if (event.type === 'off') {
+                noteOff(key, tick);
+                return;
+            }
+
+            noteOff(key, tick);
+            if (freeChannels.length === 0) {
+                // Out of channels: end the oldest note early
+                noteOff(sounding.keys().next().value, tick);
+            }
+
+            const exactNote = 69 + 12 * Math.log2(event.frequency / 440);
+            const note = Math.max(0, Math.min(127, Math.round(exactNote)));
+            const bend = Math.max(0, Math.min(16383, Math.round(8192 + (exactNote - note) / bendRange * 8192)));
+            const channel = freeChannels.shift();
+
+            events.push({ tick, data: [0xE0 | (channel - 1), bend & 0x7F, (bend >> 7) & 0x7F] });
+            events.push({ tick, data: [0x90 | (channel - 1), note, 100] });
+            sounding.set(key, { channel, note });
+        });
+
+        const endTick = Math.round(this.take.duration * ticksPerSecond);
+        Array.from(sounding.keys()).forEach(key => noteOff(key, endTick));
+
+        return encodeMidiFile(events, ticksPerQuarter);
+    }
+}
+
+// Place the notes of a MIDI file ([{ time, duration, note }], from
+// parseMidiFile) on the lattice. Notes starting together are spelled as one
+// chord (see LatticeSpeller.spellChord), kept close to the notes still
+// sounding and pulled toward the harmonic centre: a running average of the
+// chords so far, so the spelling follows the music as it modulates. A note
+// whose pitch class is already sounding shares its cell.
+//
+// Returns the take's events and its chords. A cell sounding in several
+// octaves at once is one note on the lattice: it starts with the first and
+// ends with the last.
+function spellMidiNotes(notes, speller) {
+    const ends = notes.map(note => note.time + Math.max(note.duration, IMPORT_MIN_DURATION));
+    const cells = [];     // the cell of each note
+    const chords = [];
+    const sounding = [];  // indexes of notes still sounding
+    let centre = null;
+
+    let start = 0;
+    while (start < notes.length) {
+        const time = notes[start].time;
+        let end = start;
+        while (end < notes.length && notes[end].time - time <= IMPORT_CHORD_WINDOW) end++;
+
+        // Notes that have ended by now leave the context
+        for (let i = sounding.length - 1; i >= 0; i--) {
+            if (ends[sounding[i]] <= time + IMPORT_CHORD_WINDOW) sounding.splice(i, 1);
+        }
+
+        // Pitch classes already sounding keep their cells; the rest are
+        // spelled together
+        const byPitchClass = new Map();
+        sounding.forEach(index => byPitchClass.set(notes[index].note % 12, cells[index]));
+        const fixed = Array.from(byPitchClass.values());
+        const newPitchClasses = [];
+        for (let i = start; i < end; i++) {
+            const pitchClass = notes[i].note % 12;
+            if (!byPitchClass.has(pitchClass) && !newPitchClasses.includes(pitchClass)) newPitchClasses.push(pitchClass);
+        }
+        speller.spellChord(newPitchClasses, fixed, centre || { q: 0, r: 0 }).forEach((cell, i) => {
+            byPitchClass.set(newPitchClasses[i], cell);
+        });
+        for (let i = start; i < end; i++) {
+            cells[i] = byPitchClass.get(notes[i].note % 12);
+            sounding.push(i);
+        }
+
+        // The chord is everything sounding now, lowest note first
+        const chordCells = [];
+        sounding.slice().sort((a, b) => notes[a].note - notes[b].note).forEach(index => {
+            const cell = cells[index];
+            if (!chordCells.some(other => other.q === cell.q && other.r === cell.r)) {
+                chordCells.push({ q: cell.q, r: cell.r, name: latticeNoteName(cell.q, cell.r) });
+            }
+        });
+        const found = new ChordDetector().detect(chordCells);
+        chords.push({
+            t: Math.round(time * 1000) / 1000,
+            name: found.length > 0
+                ? found.map(chord => chord.symbol).join(' + ')
+                : chordCells.map(cell => cell.name).join(' '),
+            cells: chordCells
+        });
+
+        const mean = {
+            q: chordCells.reduce((sum, cell) => sum + cell.q, 0) / chordCells.length,
+            r: chordCells.reduce((sum, cell) => sum + cell.r, 0) / chordCells.length
+        };
+        centre = centre === null ? mean : {
+            q: centre.q + (mean.q - centre.q) * IMPORT_CENTRE_FOLLOW,
+            r: centre.r + (mean.r - centre.r) * IMPORT_CENTRE_FOLLOW
+        };
+        start = end;
+    }
+
+    // Note-offs sort before note-ons at the same time, so a repeated note
+    // is struck again, but never before their own note-on
+    const timeline = [];
+    notes.forEach((note, index) => {
+        timeline.push({ t: note.time, on: true, index });
+        timeline.push({ t: ends[index], on: false, index });
+    });
+    timeline.sort((a, b) => a.t - b.t || (a.index === b.index ? b.on - a.on : a.on - b.on));
+
+    const events = [];
+    const counts = new Map();
+    timeline.forEach(({ t, on, index }) => {
+        const { q, r } = cells[index];
+        const key = `${q},${r}`;
+        const count = counts.get(key) || 0;
+        counts.set(key, count + (on ? 1 : -1));
+        if (on ? count > 0 : count > 1) return;
+        events.push({
+            t: Math.round(t * 1000) / 1000,
+            type: on ? 'on' : 'off',
+            q,
+            r,
+            frequency: 440 * Math.pow(2, (notes[index].note - 69) / 12)
+        });
+    });
+
+    return { events, chords };
+}
@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+// Render a saved take or a sequence file to WAV without a browser.
+//
+//   node render-wav.js input.json output.wav [--sound violin] [--tuning ji]
+//
+// --sound takes a built-in preset name or a preset file shared from the app.
+//
+// input.json is either a take saved from the app or a plain sequence:
+//   [{ "q": 0, "r": 0, "start": 0, "duration": 1 }, ...]
+//
+// Node has no Web Audio of its own; this uses the node-web-audio-api package
+// (npm install node-web-audio-api).
+
+const fs = require('fs');
+const { getTuning } = require('./tuning.js');
+const { getPreset, normalizePatch } = require('./voice.js');
+const { takeToSequence, renderSequence, encodeWav } = require('./render.js');
+
+function parseArgs(argv) {
+    const args = { files: [], sound: 'violin', tuning: 'ji' };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--sound') {
+            args.sound = argv[++i];
+        } else if (argv[i] === '--tuning') {
+            args.tuning = argv[++i];
+        } else {
+            args.files.push(argv[i]);
+        }
+    }
+    return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+if (args.files.length !== 2) {
+    console.error('Usage: node render-wav.js input.json output.wav [--sound violin] [--tuning ji]');
+    process.exit(1);
+}
+
+let OfflineAudioContext;
+try {
+    ({ OfflineAudioContext } = require('node-web-audio-api'));
+} catch (err) {
+    console.error('render-wav.js needs node-web-audio-api: npm install node-web-audio-api');
+    process.exit(1);
+}
+
+const [inputPath, outputPath] = args.files;
+const input = JSON.parse(fs.readFileSync(inputPath, 'utf8'));
+const sequence = Array.isArray(input) ? input : takeToSequence(input);
+const patch = getPreset(args.sound) ||
+    (fs.existsSync(args.sound) ? normalizePatch(JSON.parse(fs.readFileSync(args.sound, 'utf8'))) : null);
+if (!patch) {
+    console.error(`Unknown sound: ${args.sound}`);
+    process.exit(1);
+}
+
+renderSequence(sequence, {
+    tuning: getTuning(args.tuning),
+    patch,
+    OfflineAudioContext
+}).then(buffer => {
+    fs.writeFileSync(outputPath, encodeWav(buffer));
+    console.log(`Wrote ${outputPath} (${buffer.duration.toFixed(2)} s)`);
+}).catch(err => {
+    console.error(err.message);
+    process.exit(1);
+});
@@ -0,0 +1,112 @@
+// Offline rendering of note sequences to WAV, through the same voices as
+// live playing. Works in the browser and, given an OfflineAudioContext
+// implementation, in Node (see render-wav.js).
+//
+// A sequence is a list of { q, r, start, duration } in seconds. An event may
+// also carry an exact frequency, which then wins over the tuning.
+
+const renderDeps = (typeof module !== 'undefined' && module.exports)
+    ? Object.assign({}, require('./tuning.js'), require('./voice.js'))
+    : { getTuning, getPreset, normalizePatch, createVoice, releaseVoice };
+
+// Turn a recorded take (see recorder.js) into a sequence
+function takeToSequence(take) {
+    const sequence = [];
+    const open = new Map(); // "q,r" -> event still sounding
+
+    const close = (key, time) => {
+        const event = open.get(key);
+        if (!event) return;
+        event.duration = Math.max(0, time - event.start);
+        open.delete(key);
+    };
+
+    take.events.forEach(event => {
+        const key = `${event.q},${event.r}`;
+        close(key, event.t);
+        if (event.type === 'on') {
+            const note = { q: event.q, r: event.r, start: event.t, duration: 0, frequency: event.frequency };
+            sequence.push(note);
+            open.set(key, note);
+        }
+    });
+    Array.from(open.keys()).forEach(key => close(key, take.duration));
+
+    return sequence;
+}
+
+// Resolves with the rendered AudioBuffer
+function renderSequence(sequence, options = {}) {
+    const {
+        tuning = renderDeps.getTuning('ji'),
+        layer = 0,
+        sampleRate = 44100,
+        tail = 0.5
+    } = options;
+    const patch = renderDeps.normalizePatch(options.patch || renderDeps.getPreset('violin'));
+    const OfflineContext = options.OfflineAudioContext ||
+        (typeof OfflineAudioContext !== 'undefined' ? OfflineAudioContext : null);
+
+    if (!OfflineContext) {
+        return Promise.reject(new Error('No OfflineAudioContext available'));
+    }
+    if (sequence.length === 0) {
+        return Promise.reject(new Error('Nothing to render'));
+    }
+
+    const end = Math.max(...sequence.map(event => event.start + event.duration));
+    const length = Math.ceil((end + patch.envelope.release + tail) * sampleRate);
+    const context = new OfflineContext(1, length, sampleRate);
+
+    sequence.forEach(event => {
+        const frequency = event.frequency || tuning.frequency(event.q, event.r, layer);
+        const voice = renderDeps.createVoice(context, context.destination, frequency, patch, event.start);
+        renderDeps.releaseVoice(voice, event.start + event.duration);
+    });
+
+    return context.startRendering();
+}
+
+// 16-bit PCM WAV file from an AudioBuffer
+function encodeWav(buffer) {
+    const channels = buffer.numberOfChannels;
+    const frames = buffer.length;
+    const dataSize = frames * channels * 2;
+    const view = new DataView(new ArrayBuffer(44 + dataSize));
+
+    const writeString = (offset, text) => {
+        for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+    };
+
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);                             // fmt chunk size
+    view.setUint16(20, 1, true);                              // PCM
+    view.setUint16(22, channels, true);
+    view.setUint32(24, buffer.sampleRate, true);
+    view.setUint32(28, buffer.sampleRate * channels * 2, true); // byte rate
+    view.setUint16(32, channels * 2, true);                   // block align
+    view.setUint16(34, 16, true);                             // bits per sample
+    writeString(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    const channelData = [];
+    for (let ch = 0; ch < channels; ch++) channelData.push(buffer.getChannelData(ch));
+
+    let offset = 44;
+    for (let i = 0; i < frames; i++) {
+        for (let ch = 0; ch < channels; ch++) {
+            const sample = Math.max(-1, Math.min(1, channelData[ch][i]));
+            view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+            offset += 2;
+        }
+    }
+
+    return new Uint8Array(view.buffer);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { takeToSequence, renderSequence, encodeWav };
+}
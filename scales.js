@@ -0,0 +1,55 @@
+// Keys and scales on the lattice.
+//
+// A scale is a set of positions on the line of fifths relative to its tonic
+// (0 is the tonic, 1 a fifth above, -1 a fourth, 4 a major third). A cell
+// (dq, dr) away from the tonic sits dr + 4 * dq fifths along. That leaves out
+// the enharmonic copies of a pitch class, which are a different number of
+// fifths away: three major thirds (B♯ for C) or twelve fifths. Copies a
+// syntonic comma apart (dq - 1, dr + 4) are the same number of fifths along,
+// so every one of them along the strip is in the key.
+
+const SCALES = [
+    { id: 'major', name: 'Major (Ionian)', fifths: [0, 2, 4, -1, 1, 3, 5] },
+    { id: 'minor', name: 'Natural minor (Aeolian)', fifths: [0, 2, -3, -1, 1, -4, -2] },
+    { id: 'harmonic-minor', name: 'Harmonic minor', fifths: [0, 2, -3, -1, 1, -4, 5] },
+    { id: 'melodic-minor', name: 'Melodic minor', fifths: [0, 2, -3, -1, 1, 3, 5] },
+    { id: 'dorian', name: 'Dorian', fifths: [0, 2, -3, -1, 1, 3, -2] },
+    { id: 'phrygian', name: 'Phrygian', fifths: [0, -5, -3, -1, 1, -4, -2] },
+    { id: 'lydian', name: 'Lydian', fifths: [0, 2, 4, 6, 1, 3, 5] },
+    { id: 'mixolydian', name: 'Mixolydian', fifths: [0, 2, 4, -1, 1, 3, -2] },
+    { id: 'locrian', name: 'Locrian', fifths: [0, -5, -3, -1, -6, -4, -2] },
+    { id: 'major-pentatonic', name: 'Major pentatonic', fifths: [0, 2, 4, 1, 3] },
+    { id: 'minor-pentatonic', name: 'Minor pentatonic', fifths: [0, -3, -1, 1, -2] }
+];
+
+function getScale(id) {
+    return SCALES.find(scale => scale.id === id) || null;
+}
+
+// Build a scale from pitch classes in semitones above the tonic ("0 2 4 7 9").
+// Each is spelled at its place on the line of fifths nearest the tonic, from
+// a diminished fifth below to an augmented fourth above. Null if nothing
+// parses.
+function createCustomScale(text) {
+    const pitchClasses = String(text).split(/[\s,]+/).filter(Boolean).map(Number);
+    if (pitchClasses.length === 0 || pitchClasses.some(pc => !Number.isInteger(pc))) return null;
+
+    const fifths = new Set([0]);
+    pitchClasses.forEach(pc => {
+        // 7 semitones per fifth, and 7 * 7 = 49 = 1 (mod 12)
+        const f = (((7 * pc) % 12) + 12) % 12;
+        fifths.add(f > 6 ? f - 12 : f);
+    });
+    return { id: 'custom', name: `Custom (${pitchClasses.join(' ')})`, fifths: Array.from(fifths) };
+}
+
+// Degree (1 for the tonic, counting up in pitch) of a cell (dq, dr) from the
+// tonic, or null when the cell is outside the scale
+function scaleDegree(scale, dq, dr) {
+    const fifths = dr + 4 * dq;
+    if (!scale.fifths.includes(fifths)) return null;
+
+    const pitchClass = f => (((7 * f) % 12) + 12) % 12;
+    const ordered = scale.fifths.slice().sort((a, b) => pitchClass(a) - pitchClass(b));
+    return ordered.indexOf(fifths) + 1;
+}
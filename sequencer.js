@@ -0,0 +1,211 @@
+// Rhythm: a step sequencer whose steps hold lattice cells, an arpeggiator
+// that plays the held cells one at a time, and the clock that drives them.
+//
+// The clock ticks in sixteenth notes. With swing, every other step is late:
+// the first of each pair lasts (1 + swing) sixteenths and the second
+// (1 - swing), so swing 1/3 is a triplet feel.
+
+const SEQUENCER_LENGTHS = [8, 12, 16, 24, 32];
+const MAX_SWING = 0.5;
+
+const ARP_ORDERS = [
+    { id: 'up', name: 'Up' },
+    { id: 'down', name: 'Down' },
+    { id: 'random', name: 'Random' },
+    { id: 'path', name: 'Lattice path' }
+];
+
+// Arpeggiator note lengths, in sixteenths
+const ARP_RATES = [
+    { steps: 1, name: '1/16' },
+    { steps: 2, name: '1/8' },
+    { steps: 3, name: 'Dotted 1/8' },
+    { steps: 4, name: '1/4' }
+];
+
+class StepClock {
+    constructor() {
+        this.tempo = 120;
+        this.swing = 0;
+        this.running = false;
+        this.step = 0;
+        this.nextTime = 0;
+        this.timer = null;
+
+        // Called with the step number and its length in ms as each step starts
+        this.onStep = null;
+    }
+
+    // Length of a step in milliseconds, after swing
+    stepLength(step) {
+        const sixteenth = 60000 / this.tempo / 4;
+        return sixteenth * (step % 2 === 0 ? 1 + this.swing : 1 - this.swing);
+    }
+
+    start() {
+        if (this.running) return;
+        this.running = true;
+        this.step = 0;
+        this.nextTime = performance.now();
+        this.tick();
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.running = false;
+    }
+
+    // Each step is timed from when the last one was due rather than when its
+    // timer fired, so lateness doesn't add up. After a long stall (a
+    // background tab) the clock picks up from now instead of catching up.
+    tick() {
+        const now = performance.now();
+        if (now - this.nextTime > this.stepLength(this.step)) this.nextTime = now;
+
+        const length = this.stepLength(this.step);
+        if (this.onStep) this.onStep(this.step, length);
+        this.step++;
+        this.nextTime += length;
+        if (this.running) {
+            this.timer = setTimeout(() => this.tick(), Math.max(0, this.nextTime - performance.now()));
+        }
+    }
+}
+
+// A loop of steps, each a list of cells { q, r } that sound together
+class StepSequencer {
+    constructor(length = 16) {
+        this.steps = Array.from({ length }, () => []);
+        this.position = -1;
+        this.playing = false;
+        // Fraction of a step that its notes sound for
+        this.gate = 0.8;
+    }
+
+    get length() {
+        return this.steps.length;
+    }
+
+    // Longer patterns keep their steps; shorter ones drop those past the end
+    setLength(length) {
+        this.steps = Array.from({ length }, (_, index) => this.steps[index] || []);
+        if (this.position >= length) this.position = -1;
+    }
+
+    cellsAt(index) {
+        return this.steps[index] || [];
+    }
+
+    // Add a cell to a step, or take it out if it's already there. Returns
+    // whether it was added.
+    toggleCell(index, q, r) {
+        const cells = this.steps[index];
+        const found = cells.findIndex(cell => cell.q === q && cell.r === r);
+        if (found >= 0) {
+            cells.splice(found, 1);
+            return false;
+        }
+        cells.push({ q, r });
+        return true;
+    }
+
+    clearStep(index) {
+        this.steps[index] = [];
+    }
+
+    clear() {
+        this.steps = this.steps.map(() => []);
+    }
+
+    // Move to the next step and return its cells
+    advance() {
+        this.position = (this.position + 1) % this.steps.length;
+        return this.steps[this.position];
+    }
+
+    // Steps as [[q, r], ...] lists, for saving
+    getPattern() {
+        return this.steps.map(cells => cells.map(cell => [cell.q, cell.r]));
+    }
+
+    // Anything that isn't a list of [q, r] pairs is skipped
+    setPattern(pattern) {
+        if (!Array.isArray(pattern)) return;
+        const length = SEQUENCER_LENGTHS.includes(pattern.length) ? pattern.length : this.length;
+        this.steps = Array.from({ length }, (_, index) => {
+            const cells = Array.isArray(pattern[index]) ? pattern[index] : [];
+            return cells
+                .filter(cell => Array.isArray(cell) && Number.isInteger(cell[0]) && Number.isInteger(cell[1]))
+                .map(([q, r]) => ({ q, r }));
+        });
+        this.position = -1;
+    }
+}
+
+// Picks which held cell sounds next. Cells are { key, q, r, frequency }.
+class Arpeggiator {
+    constructor() {
+        this.enabled = false;
+        this.order = 'up';
+        // Sixteenths per note
+        this.rate = 2;
+        this.gate = 0.5;
+        // Follow the sequencer's clock instead of running on its own tempo
+        this.sync = true;
+        this.tempo = 120;
+        this.lastKey = null;
+    }
+
+    // The held cells in playing order
+    arrange(cells) {
+        const byPitch = cells.slice().sort((a, b) => a.frequency - b.frequency);
+        if (this.order === 'down') return byPitch.reverse();
+        if (this.order !== 'path') return byPitch;
+
+        // From the lowest note, always on to the nearest cell on the lattice
+        // not yet visited, so each step is as small a move as possible
+        const path = [byPitch.shift()];
+        while (byPitch.length > 0) {
+            const last = path[path.length - 1];
+            let nearest = 0;
+            byPitch.forEach((cell, index) => {
+                if (latticeDistance(cell, last) < latticeDistance(byPitch[nearest], last)) nearest = index;
+            });
+            path.push(byPitch.splice(nearest, 1)[0]);
+        }
+        return path;
+    }
+
+    // The next cell to play, carrying on from the last one even when notes
+    // were added or let go of in between. Null when nothing is held.
+    next(cells) {
+        if (cells.length === 0) {
+            this.lastKey = null;
+            return null;
+        }
+
+        let cell;
+        if (this.order === 'random') {
+            const others = cells.length > 1 ? cells.filter(other => other.key !== this.lastKey) : cells;
+            cell = others[Math.floor(Math.random() * others.length)];
+        } else {
+            const ordered = this.arrange(cells);
+            const index = ordered.findIndex(other => other.key === this.lastKey);
+            cell = ordered[(index + 1) % ordered.length];
+        }
+        this.lastKey = cell.key;
+        return cell;
+    }
+
+    reset() {
+        this.lastKey = null;
+    }
+}
+
+// Steps between two cells, moving between neighbouring hexes
+function latticeDistance(a, b) {
+    const dq = a.q - b.q;
+    const dr = a.r - b.r;
+    return (Math.abs(dq) + Math.abs(dr) + Math.abs(dq + dr)) / 2;
+}
@@ -0,0 +1,58 @@
+// Saving the app between visits, and sharing it as a link.
+//
+// The state is a plain object built by HexGrid.getState: camera, tuning,
+// register, labels, key, colours, voice and effects. It is kept as JSON in
+// localStorage. A share link carries the same object plus the sounding cells,
+// base64url-encoded in the URL hash after '#state='.
+
+const STATE_STORAGE_KEY = 'tonnetz.state';
+const STATE_VERSION = 1;
+const SHARE_HASH_PREFIX = '#state=';
+
+// Before the whole state was saved, only the effects rack was
+const LEGACY_EFFECTS_KEY = 'tonnetz.effects';
+
+function loadStoredState() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STATE_STORAGE_KEY) || 'null');
+        if (saved && saved.version === STATE_VERSION) return saved;
+
+        const effects = localStorage.getItem(LEGACY_EFFECTS_KEY);
+        return effects ? { version: STATE_VERSION, effects: JSON.parse(effects) } : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+function storeState(state) {
+    try {
+        localStorage.setItem(STATE_STORAGE_KEY, JSON.stringify(state));
+        localStorage.removeItem(LEGACY_EFFECTS_KEY);
+    } catch (err) {
+        console.warn('Could not save settings', err);
+    }
+}
+
+// The hash is base64url of the UTF-8 JSON, so preset names survive intact
+function encodeStateHash(state) {
+    const bytes = new TextEncoder().encode(JSON.stringify(state));
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    const base64 = btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    return `${SHARE_HASH_PREFIX}${base64}`;
+}
+
+// The state in a share link's hash, or null if there is none or it is damaged
+function decodeStateHash(hash) {
+    if (!hash || !hash.startsWith(SHARE_HASH_PREFIX)) return null;
+    try {
+        const base64 = hash.slice(SHARE_HASH_PREFIX.length).replace(/-/g, '+').replace(/_/g, '/');
+        const bytes = Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+        const state = JSON.parse(new TextDecoder().decode(bytes));
+        return state && state.version === STATE_VERSION ? state : null;
+    } catch (err) {
+        return null;
+    }
+}
@@ -0,0 +1,86 @@
+// Caches for drawing the grid.
+//
+// Working out a tile's pitch, colour and labels takes logs and powers, and
+// drawing it takes a path and several font changes. Neither changes while
+// the tile is at rest, so each cell's data is computed once, and each resting
+// tile is pre-rendered as a sprite and stamped onto the grid. Both are
+// dropped when a setting that changes how tiles look changes (the settings
+// key), and sprites also when the zoom level changes.
+
+// Sprites are drawn at zoom levels 1/16 octave apart, close enough to the
+// actual zoom to be scaled without visible blur. Pinching re-renders them
+// only every few percent.
+const SPRITE_LEVELS_PER_OCTAVE = 16;
+
+// Enough for every cell on a large screen at the widest zoom
+const MAX_TILE_DATA = 20000;
+
+// Sprite memory, in device pixels (4 bytes each); a full screen of sprites
+// on a high-density display needs about half of it
+const MAX_SPRITE_PIXELS = 16 * 1024 * 1024;
+
+class TileCache {
+    constructor() {
+        this.settingsKey = null;
+        this.data = new Map();
+
+        this.sprites = new Map();
+        this.spriteLevel = null;
+        this.spriteDpr = null;
+        this.spritePixels = 0;
+    }
+
+    static levelFor(zoom) {
+        return Math.pow(2, Math.round(Math.log2(zoom) * SPRITE_LEVELS_PER_OCTAVE) / SPRITE_LEVELS_PER_OCTAVE);
+    }
+
+    // Drop everything computed under other settings
+    sync(settingsKey) {
+        if (settingsKey === this.settingsKey) return;
+        this.settingsKey = settingsKey;
+        this.data.clear();
+        this.clearSprites();
+    }
+
+    clearSprites() {
+        this.sprites.clear();
+        this.spritePixels = 0;
+    }
+
+    // Cached data for a key, made by create() the first time
+    getData(key, create) {
+        let data = this.data.get(key);
+        if (!data) {
+            if (this.data.size >= MAX_TILE_DATA) this.data.clear();
+            data = create();
+            this.data.set(key, data);
+        }
+        return data;
+    }
+
+    // A size x size (CSS pixels) sprite for a key at a zoom level, painted
+    // by paint(ctx) the first time
+    getSprite(key, level, dpr, size, paint) {
+        if (level !== this.spriteLevel || dpr !== this.spriteDpr) {
+            this.clearSprites();
+            this.spriteLevel = level;
+            this.spriteDpr = dpr;
+        }
+
+        let sprite = this.sprites.get(key);
+        if (!sprite) {
+            sprite = document.createElement('canvas');
+            sprite.width = Math.ceil(size * dpr);
+            sprite.height = Math.ceil(size * dpr);
+            const pixels = sprite.width * sprite.height;
+            if (this.spritePixels + pixels > MAX_SPRITE_PIXELS) this.clearSprites();
+
+            const ctx = sprite.getContext('2d');
+            ctx.scale(dpr, dpr);
+            paint(ctx);
+            this.sprites.set(key, sprite);
+            this.spritePixels += pixels;
+        }
+        return sprite;
+    }
+}
@@ -0,0 +1,150 @@
+// <tonnetz-grid>: the lattice as a custom element, for pages that show
+// several grids or drive one from their own scripts. Load it after the
+// app's scripts (see embed.html).
+//
+// Attributes:
+//   tuning   tuning id from tuning.js, such as 'ji' (the default) or '12-edo'
+//   zoom     zoom level, 1 by default
+//   center   cell to centre on, as "q,r"
+//   sound    "off" to light tiles without playing them
+//   trails   present to draw melody trails and voice-leading arrows
+//
+// Events, as CustomEvents with these details:
+//   noteon, noteoff   { q, r, octave, frequency, name }
+//   chord             { chords: [{ name, cells: [{ q, r }] }] }, whenever
+//                     the recognised chords change
+//
+// Every grid on the page plays through one shared AudioContext, which starts
+// on the first touch or click anywhere on the page.
+
+const TONNETZ_GRID_STYLE = `
+    :host {
+        display: block;
+        position: relative;
+        height: 300px;
+        overflow: hidden;
+        background: #111111;
+    }
+
+    :host(.theme-light) {
+        background: #f4f4f0;
+    }
+
+    canvas {
+        display: block;
+        touch-action: none;
+    }
+
+    #trail-canvas {
+        position: absolute;
+        top: 0;
+        left: 0;
+        pointer-events: none;
+    }
+`;
+
+class TonnetzGrid extends HTMLElement {
+    static get observedAttributes() {
+        return ['tuning', 'zoom', 'center', 'sound', 'trails'];
+    }
+
+    connectedCallback() {
+        if (this.grid) return;
+
+        const shadow = this.shadowRoot || this.attachShadow({ mode: 'open' });
+        shadow.innerHTML = `<style>${TONNETZ_GRID_STYLE}</style><canvas></canvas><canvas id="trail-canvas"></canvas>`;
+
+        this.grid = new HexGrid(shadow.querySelector('canvas'), { root: shadow, container: this, standalone: false });
+        this.grid.onNoteOn = (note) => this.emit('noteon', TonnetzGrid.describeNote(note));
+        this.grid.onNoteOff = (note) => this.emit('noteoff', TonnetzGrid.describeNote(note));
+        this.grid.onChordsChanged = (chords) => this.emit('chord', {
+            chords: chords.map(chord => ({
+                name: chord.name,
+                cells: chord.cells.map(cell => ({ q: cell.q, r: cell.r }))
+            }))
+        });
+        TonnetzGrid.observedAttributes.forEach(name => this.applyAttribute(name));
+    }
+
+    // Moving the element disconnects and reconnects it straight away; the
+    // grid is only destroyed if it is still out of the page afterwards
+    disconnectedCallback() {
+        queueMicrotask(() => {
+            if (this.isConnected || !this.grid) return;
+            this.grid.destroy();
+            this.grid = null;
+        });
+    }
+
+    attributeChangedCallback(name) {
+        if (this.grid) this.applyAttribute(name);
+    }
+
+    applyAttribute(name) {
+        const value = this.getAttribute(name);
+        switch (name) {
+            case 'tuning':
+                this.grid.setTuning(getTuning(value || 'ji'));
+                break;
+            case 'zoom':
+                this.grid.camera.zoom = this.grid.clampZoom(Number(value) || 1);
+                break;
+            case 'center': {
+                const [q, r] = (value || '0,0').split(',').map(Number);
+                if (Number.isInteger(q) && Number.isInteger(r)) this.grid.centerOnCell(q, r);
+                break;
+            }
+            case 'sound':
+                this.grid.muteSynth = value === 'off';
+                break;
+            case 'trails':
+                this.grid.setTrails(value !== null && value !== 'off');
+                break;
+        }
+    }
+
+    static describeNote({ q, r, octave, frequency }) {
+        return { q, r, octave, frequency, name: latticeNoteName(q, r) };
+    }
+
+    emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail, bubbles: true, composed: true }));
+    }
+
+    // Sound a cell until stop(); octave moves it up or down from the register
+    play(q, r, octave = 0) {
+        if (this.grid) this.grid.playTone(q, r, { octave });
+    }
+
+    stop(q, r) {
+        if (this.grid) this.grid.stopTone(`${q},${r}`);
+    }
+
+    flyTo(q, r) {
+        if (this.grid) this.grid.flyToCell(q, r);
+    }
+
+    // Sound exactly these cells, given as { q, r } or [q, r], stopping the
+    // rest; cells already sounding carry on without being restarted
+    setActive(cells) {
+        if (!this.grid) return;
+        const wanted = new Map(cells.map(cell => {
+            const [q, r] = Array.isArray(cell) ? cell : [cell.q, cell.r];
+            return [`${q},${r}`, { q, r }];
+        }));
+        Array.from(this.grid.activeCells.keys())
+            .filter(key => !wanted.has(key))
+            .forEach(key => this.grid.stopTone(key));
+        wanted.forEach((cell, key) => {
+            if (!this.grid.activeCells.has(key)) this.grid.playTone(cell.q, cell.r);
+        });
+    }
+
+    // The sounding cells, as [{ q, r, octave }]
+    get active() {
+        if (!this.grid) return [];
+        return Array.from(this.grid.activeCells.values()).map(({ q, r, octave }) => ({ q, r, octave }));
+    }
+}
+
+customElements.define('tonnetz-grid', TonnetzGrid);
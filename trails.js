@@ -0,0 +1,111 @@
+// Melody trails and voice leading, drawn over the grid.
+//
+// A trail segment joins two cells a pointer slid between. A voice-leading
+// arrow joins a note of one chord to the note of the next chord it moved to.
+// Both fade out over the fade time, or stay until cleared when it is 0.
+
+const TRAIL_FADE_TIMES = [
+    { seconds: 3, name: '3 s' },
+    { seconds: 10, name: '10 s' },
+    { seconds: 30, name: '30 s' },
+    { seconds: 0, name: 'Never' }
+];
+
+// A colour for each pointer's trail, in the order pointers go down
+const TRAIL_COLORS = ['#ff7043', '#42a5f5', '#66bb6a', '#ab47bc', '#ffca28'];
+
+// More than a screenful of sliding; the oldest go first
+const MAX_TRAIL_ITEMS = 2000;
+
+class TrailLayer {
+    constructor() {
+        this.enabled = false;
+        this.fadeTime = 10;
+        // { from: { q, r }, to: { q, r }, color, time }
+        this.segments = [];
+        // { from: { q, r }, to: { q, r }, time }
+        this.arrows = [];
+        // The last chord's cells { q, r, frequency }, to lead the next from
+        this.lastChord = null;
+        // Set whenever what there is to draw changes, other than by fading
+        this.changed = false;
+    }
+
+    get empty() {
+        return this.segments.length === 0 && this.arrows.length === 0;
+    }
+
+    addSegment(from, to, color, now) {
+        this.segments.push({ from: { q: from.q, r: from.r }, to: { q: to.q, r: to.r }, color, time: now });
+        if (this.segments.length > MAX_TRAIL_ITEMS) this.segments.shift();
+        this.changed = true;
+    }
+
+    // A chord was played: arrows from the notes of the last one to where
+    // each voice went. Common tones get no arrow.
+    addChord(cells, now) {
+        const key = (chord) => chord.map(cell => `${cell.q},${cell.r}`).sort().join(' ');
+        if (this.lastChord && key(this.lastChord) === key(cells)) return;
+
+        if (this.lastChord) {
+            leadVoices(this.lastChord, cells).forEach(({ from, to }) => {
+                if (from.q === to.q && from.r === to.r) return;
+                this.arrows.push({ from: { q: from.q, r: from.r }, to: { q: to.q, r: to.r }, time: now });
+            });
+            if (this.arrows.length > MAX_TRAIL_ITEMS) this.arrows.splice(0, this.arrows.length - MAX_TRAIL_ITEMS);
+            this.changed = true;
+        }
+        this.lastChord = cells.map(({ q, r, frequency }) => ({ q, r, frequency }));
+    }
+
+    // How visible an item still is, from 1 down to 0
+    opacity(item, now) {
+        if (this.fadeTime === 0) return 1;
+        return Math.max(0, 1 - (now - item.time) / (this.fadeTime * 1000));
+    }
+
+    // Drop whatever has faded out
+    prune(now) {
+        const before = this.segments.length + this.arrows.length;
+        this.segments = this.segments.filter(item => this.opacity(item, now) > 0);
+        this.arrows = this.arrows.filter(item => this.opacity(item, now) > 0);
+        if (this.segments.length + this.arrows.length !== before) this.changed = true;
+    }
+
+    clear() {
+        this.segments = [];
+        this.arrows = [];
+        this.lastChord = null;
+        this.changed = true;
+    }
+}
+
+// Pair the voices of one chord with those of the next so they move as
+// little as possible in total, in cents. When the chords differ in size the
+// extra voices of the larger one are left unpaired. Cells are
+// { q, r, frequency }; chords have at most a handful, so every pairing is
+// tried.
+function leadVoices(from, to) {
+    const swap = from.length > to.length;
+    const [few, many] = swap ? [to, from] : [from, to];
+    let best = { cost: Infinity, pairs: [] };
+
+    const search = (index, used, pairs, cost) => {
+        if (cost >= best.cost) return;
+        if (index === few.length) {
+            best = { cost, pairs: pairs.slice() };
+            return;
+        }
+        many.forEach((cell, j) => {
+            if (used.has(j)) return;
+            used.add(j);
+            pairs.push([few[index], cell]);
+            search(index + 1, used, pairs, cost + Math.abs(1200 * Math.log2(cell.frequency / few[index].frequency)));
+            pairs.pop();
+            used.delete(j);
+        });
+    };
+    search(0, new Set(), [], 0);
+
+    return best.pairs.map(([a, b]) => (swap ? { from: b, to: a } : { from: a, to: b }));
+}
@@ -0,0 +1,201 @@
+// Tuning systems for the lattice.
+//
+// The lattice layout never changes: q steps by a major third and r steps by a
+// fifth (alternating a fifth up and a fourth down so pitches stay close). A
+// tuning only decides how big those steps are. An optional seventh adds a third
+// axis, reached by shifting the whole lattice up or down in 7-limit layers.
+
+const BASE_FREQ = 261.625565; // Middle C (C4)
+
+// Pitches fold into the octave starting just below the tonic
+const FOLD_LOW = Math.pow(2, -0.8 / 12);
+const FOLD_HIGH = Math.pow(2, 11.8 / 12);
+
+const SYNTONIC_COMMA_CENTS = 1200 * Math.log2(81 / 80);
+
+const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+const bigGcd = (a, b) => (b === 0n ? a : bigGcd(b, a % b));
+
+// Parse an interval given as a ratio ("5/4", "1.25") or in cents ("386.3c")
+function parseInterval(text) {
+    const value = String(text).trim();
+
+    const fractionMatch = value.match(/^(\d+)\s*\/\s*(\d+)$/);
+    if (fractionMatch) {
+        const numerator = Number(fractionMatch[1]);
+        const denominator = Number(fractionMatch[2]);
+        if (numerator > 0 && denominator > 0) {
+            const divisor = gcd(numerator, denominator);
+            return {
+                cents: 1200 * Math.log2(numerator / denominator),
+                fraction: [numerator / divisor, denominator / divisor]
+            };
+        }
+    }
+
+    const centsMatch = value.match(/^(-?\d+(?:\.\d+)?)\s*c$/i);
+    if (centsMatch) {
+        return { cents: Number(centsMatch[1]), fraction: null };
+    }
+
+    const ratio = Number(value);
+    if (ratio > 0) {
+        return { cents: 1200 * Math.log2(ratio), fraction: null };
+    }
+
+    return null;
+}
+
+class Tuning {
+    // third, fifth, seventh: { cents, fraction } as returned by parseInterval.
+    // fraction is null for tempered intervals.
+    constructor({ id, name, third, fifth, seventh = null, edo = null }) {
+        this.id = id;
+        this.name = name;
+        this.third = third;
+        this.fifth = fifth;
+        this.seventh = seventh;
+        this.edo = edo;
+    }
+
+    // Cents above the tonic before any octave folding
+    cents(q, r, layer = 0) {
+        const fifths = Math.ceil(r / 2);
+        const fourths = Math.floor(r / 2);
+        let cents = q * this.third.cents + fifths * this.fifth.cents + fourths * (this.fifth.cents - 1200);
+        if (this.seventh) cents += layer * this.seventh.cents;
+        return cents;
+    }
+
+    ratio(q, r, layer = 0) {
+        return Math.pow(2, this.cents(q, r, layer) / 1200);
+    }
+
+    // Octaves that fold a pitch into the window just below the tonic
+    foldOctaves(q, r, layer = 0) {
+        const ratio = this.ratio(q, r, layer);
+        let octaves = 0;
+        while (ratio * Math.pow(2, octaves) < FOLD_LOW) octaves++;
+        while (ratio * Math.pow(2, octaves) >= FOLD_HIGH) octaves--;
+        return octaves;
+    }
+
+    frequency(q, r, layer = 0, constrainOctave = true) {
+        const octaves = constrainOctave ? this.foldOctaves(q, r, layer) : 0;
+        return BASE_FREQ * this.ratio(q, r, layer) * Math.pow(2, octaves);
+    }
+
+    // The exact ratio to the tonic that frequency() plays, as reduced
+    // [numerator, denominator] BigInts, moved by shift further octaves.
+    // null when a generator it needs is tempered.
+    fraction(q, r, layer = 0, constrainOctave = true, shift = 0) {
+        const powers = [[this.third, q], [this.fifth, r]];
+        if (this.seventh && layer !== 0) powers.push([this.seventh, layer]);
+        if (powers.some(([interval, power]) => power !== 0 && !interval.fraction)) return null;
+
+        let numerator = 1n;
+        let denominator = 1n;
+        powers.forEach(([interval, power]) => {
+            if (power === 0) return;
+            const [top, bottom] = interval.fraction.map(BigInt);
+            const exponent = BigInt(Math.abs(power));
+            numerator *= (power > 0 ? top : bottom) ** exponent;
+            denominator *= (power > 0 ? bottom : top) ** exponent;
+        });
+
+        // Every other r step is a fourth down: a fifth less an octave
+        const octaves = shift - Math.floor(r / 2) + (constrainOctave ? this.foldOctaves(q, r, layer) : 0);
+        if (octaves > 0) numerator *= 2n ** BigInt(octaves);
+        if (octaves < 0) denominator *= 2n ** BigInt(-octaves);
+
+        const divisor = bigGcd(numerator, denominator);
+        return [numerator / divisor, denominator / divisor];
+    }
+
+    // Nearest 12-TET semitone count for the same lattice position
+    tetSemitones(q, r, layer = 0) {
+        let semitones = q * 4 + Math.ceil(r / 2) * 7 + Math.floor(r / 2) * -5;
+        if (this.seventh) semitones += layer * 10;
+        return semitones;
+    }
+
+    // Scale steps above the tonic for equal divisions of the octave
+    edoSteps(q, r) {
+        if (!this.edo) return null;
+        const steps = Math.round(this.cents(q, r) / (1200 / this.edo));
+        return ((steps % this.edo) + this.edo) % this.edo;
+    }
+}
+
+function justTuning(id, name, withSeventh = false) {
+    return new Tuning({
+        id,
+        name,
+        third: parseInterval('5/4'),
+        fifth: parseInterval('3/2'),
+        seventh: withSeventh ? parseInterval('7/4') : null
+    });
+}
+
+function edoTuning(edo, thirdSteps, fifthSteps) {
+    const step = 1200 / edo;
+    return new Tuning({
+        id: `${edo}-edo`,
+        name: edo === 12 ? '12-TET' : `${edo}-EDO`,
+        third: { cents: thirdSteps * step, fraction: null },
+        fifth: { cents: fifthSteps * step, fraction: null },
+        edo
+    });
+}
+
+// Meantones narrow the fifth by a fraction of the syntonic comma, and four of
+// those fifths (less two octaves) make the major third
+function meantoneTuning(commaFraction, label) {
+    const fifthCents = 1200 * Math.log2(3 / 2) - commaFraction * SYNTONIC_COMMA_CENTS;
+    return new Tuning({
+        id: `meantone-${label}`,
+        name: `${label}-comma meantone`,
+        third: { cents: 4 * fifthCents - 2400, fraction: null },
+        fifth: { cents: fifthCents, fraction: null }
+    });
+}
+
+const TUNINGS = new Map();
+
+function registerTuning(tuning) {
+    TUNINGS.set(tuning.id, tuning);
+    return tuning;
+}
+
+function getTuning(id) {
+    return TUNINGS.get(id) || TUNINGS.get('ji');
+}
+
+// Build a tuning from user-entered generators, or null if they don't parse
+function createCustomTuning(thirdText, fifthText) {
+    const third = parseInterval(thirdText);
+    const fifth = parseInterval(fifthText);
+    if (!third || !fifth) return null;
+
+    return registerTuning(new Tuning({
+        id: 'custom',
+        name: `Custom (${thirdText}, ${fifthText})`,
+        third,
+        fifth
+    }));
+}
+
+registerTuning(justTuning('ji', '5-limit just intonation'));
+registerTuning(justTuning('ji-7', '7-limit just intonation', true));
+registerTuning(edoTuning(12, 4, 7));
+registerTuning(meantoneTuning(1 / 4, '1/4'));
+registerTuning(meantoneTuning(1 / 3, '1/3'));
+registerTuning(meantoneTuning(2 / 7, '2/7'));
+registerTuning(meantoneTuning(1 / 6, '1/6'));
+registerTuning(edoTuning(19, 6, 11));
+registerTuning(edoTuning(31, 10, 18));
+registerTuning(edoTuning(53, 17, 31));
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BASE_FREQ, Tuning, TUNINGS, parseInterval, registerTuning, getTuning, createCustomTuning };
+}
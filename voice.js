@@ -0,0 +1,218 @@
+// Note voices. Builds the audio graph for one note on any BaseAudioContext,
+// so live playing and offline rendering sound the same.
+//
+// A voice is described by a patch:
+//   waveform   oscillator shape for every harmonic
+//   harmonics  gain of each harmonic, fundamental first
+//   gain       overall level
+//   envelope   amplitude ADSR (seconds, sustain 0-1)
+//   filter     type ('off', 'lowpass', 'highpass', 'bandpass'), cutoff (Hz),
+//              resonance (Q), and an envelope that moves the cutoff by up to
+//              envAmount octaves
+//   vibrato    rate (Hz), depth (cents) and delay (seconds) of a pitch LFO
+
+const WAVEFORMS = ['sine', 'triangle', 'sawtooth', 'square'];
+const FILTER_TYPES = ['off', 'lowpass', 'highpass', 'bandpass'];
+
+const DEFAULT_PATCH = {
+    name: 'Sine',
+    waveform: 'sine',
+    harmonics: [1],
+    gain: 0.2,
+    envelope: { attack: 0.01, decay: 0, sustain: 1, release: 0.1 },
+    filter: { type: 'off', cutoff: 20000, resonance: 0.7, envAmount: 0, attack: 0.01, decay: 0, sustain: 1 },
+    vibrato: { rate: 5, depth: 0, delay: 0 }
+};
+
+// Fill in anything a (possibly hand-written or older) patch leaves out
+function normalizePatch(patch = {}) {
+    const merged = {
+        ...DEFAULT_PATCH,
+        ...patch,
+        envelope: { ...DEFAULT_PATCH.envelope, ...patch.envelope },
+        filter: { ...DEFAULT_PATCH.filter, ...patch.filter },
+        vibrato: { ...DEFAULT_PATCH.vibrato, ...patch.vibrato }
+    };
+    if (!WAVEFORMS.includes(merged.waveform)) merged.waveform = 'sine';
+    if (!FILTER_TYPES.includes(merged.filter.type)) merged.filter.type = 'off';
+    if (!Array.isArray(merged.harmonics) || merged.harmonics.length === 0) merged.harmonics = [1];
+    merged.harmonics = merged.harmonics.map(gain => Math.max(0, Number(gain) || 0));
+    return merged;
+}
+
+const VOICE_PRESETS = [
+    normalizePatch({
+        name: 'Violin',
+        // Violin-like harmonics, fundamental to 7th
+        harmonics: [1.0, 0.5, 0.3, 0.25, 0.15, 0.1, 0.05],
+        gain: 0.15
+    }),
+    normalizePatch({
+        name: 'Sine'
+    }),
+    normalizePatch({
+        name: 'Organ',
+        harmonics: [1.0, 0.8, 0, 0.6, 0, 0, 0, 0.4],
+        gain: 0.1,
+        envelope: { attack: 0.005, decay: 0, sustain: 1, release: 0.05 }
+    }),
+    normalizePatch({
+        name: 'Soft Pad',
+        waveform: 'sawtooth',
+        gain: 0.12,
+        envelope: { attack: 0.6, decay: 0.5, sustain: 0.8, release: 1.2 },
+        filter: { type: 'lowpass', cutoff: 600, resonance: 1, envAmount: 2, attack: 0.8, decay: 1, sustain: 0.3 },
+        vibrato: { rate: 4.5, depth: 8, delay: 0.5 }
+    }),
+    normalizePatch({
+        name: 'Pluck',
+        waveform: 'triangle',
+        harmonics: [1.0, 0.3, 0.1],
+        gain: 0.25,
+        envelope: { attack: 0.002, decay: 0.6, sustain: 0, release: 0.2 },
+        filter: { type: 'lowpass', cutoff: 800, resonance: 2, envAmount: 3, attack: 0.002, decay: 0.3, sustain: 0 }
+    }),
+    normalizePatch({
+        name: 'Brass',
+        waveform: 'sawtooth',
+        gain: 0.12,
+        envelope: { attack: 0.06, decay: 0.2, sustain: 0.8, release: 0.15 },
+        filter: { type: 'lowpass', cutoff: 500, resonance: 1.5, envAmount: 2.5, attack: 0.08, decay: 0.3, sustain: 0.5 },
+        vibrato: { rate: 5.5, depth: 6, delay: 0.4 }
+    })
+];
+
+function getPreset(name) {
+    const wanted = String(name).toLowerCase();
+    return VOICE_PRESETS.find(preset => preset.name.toLowerCase() === wanted) || null;
+}
+
+// Level (0-1) of an attack-decay-sustain envelope the given time after it started
+function envelopeLevel(envelope, elapsed) {
+    const { attack, decay, sustain } = envelope;
+    if (elapsed < attack) return attack > 0 ? elapsed / attack : 1;
+    if (elapsed < attack + decay) return 1 - (1 - sustain) * (elapsed - attack) / decay;
+    return sustain;
+}
+
+// Schedule attack, decay and sustain on an AudioParam moving from base to peak
+function scheduleEnvelope(param, envelope, base, peak, startTime) {
+    param.setValueAtTime(base, startTime);
+    param.linearRampToValueAtTime(peak, startTime + envelope.attack);
+    if (envelope.decay > 0) {
+        param.linearRampToValueAtTime(base + (peak - base) * envelope.sustain, startTime + envelope.attack + envelope.decay);
+    } else {
+        param.setValueAtTime(base + (peak - base) * envelope.sustain, startTime + envelope.attack);
+    }
+}
+
+// Start a note at startTime and return the voice for releaseVoice
+function createVoice(context, destination, frequency, patch, startTime) {
+    const nyquist = context.sampleRate / 2;
+
+    // Create gain node for overall control
+    const gainNode = context.createGain();
+    scheduleEnvelope(gainNode.gain, patch.envelope, 0, patch.gain, startTime);
+
+    // Optional filter between the oscillators and the envelope
+    let filter = null;
+    let cutoff = 0;
+    let peakCutoff = 0;
+    let input = gainNode;
+    if (patch.filter.type !== 'off') {
+        filter = context.createBiquadFilter();
+        filter.type = patch.filter.type;
+        filter.Q.setValueAtTime(patch.filter.resonance, startTime);
+        cutoff = Math.min(patch.filter.cutoff, nyquist);
+        peakCutoff = Math.max(10, Math.min(nyquist, cutoff * Math.pow(2, patch.filter.envAmount)));
+        scheduleEnvelope(filter.frequency, patch.filter, cutoff, peakCutoff, startTime);
+        filter.connect(gainNode);
+        input = filter;
+    }
+
+    // Vibrato: one LFO driving the detune of every harmonic
+    let lfo = null;
+    let lfoGain = null;
+    if (patch.vibrato.depth > 0) {
+        lfo = context.createOscillator();
+        lfo.frequency.setValueAtTime(patch.vibrato.rate, startTime);
+        lfoGain = context.createGain();
+        lfoGain.gain.setValueAtTime(0, startTime);
+        lfoGain.gain.setValueAtTime(0, startTime + patch.vibrato.delay);
+        lfoGain.gain.linearRampToValueAtTime(patch.vibrato.depth, startTime + patch.vibrato.delay + 0.2);
+        lfo.connect(lfoGain);
+        lfo.start(startTime);
+    }
+
+    const oscillators = [];
+    patch.harmonics.forEach((harmonicGain, i) => {
+        const harmonicFrequency = frequency * (i + 1);
+        // Skip silent and inaudible harmonics
+        if (harmonicGain <= 0 || harmonicFrequency >= nyquist) return;
+
+        const osc = context.createOscillator();
+        osc.type = patch.waveform;
+        osc.frequency.setValueAtTime(harmonicFrequency, startTime);
+        if (lfoGain) lfoGain.connect(osc.detune);
+
+        if (harmonicGain === 1) {
+            osc.connect(input);
+        } else {
+            const gain = context.createGain();
+            gain.gain.setValueAtTime(harmonicGain, startTime);
+            osc.connect(gain);
+            gain.connect(input);
+        }
+
+        osc.start(startTime);
+        oscillators.push(osc);
+    });
+    if (lfo) oscillators.push(lfo);
+
+    gainNode.connect(destination);
+
+    return { oscillators, gainNode, filter, cutoff, peakCutoff, patch, startTime };
+}
+
+// Fade a voice out over the patch's release (or the given release time),
+// starting at time. The envelope levels are worked out rather than read back,
+// so this works the same when scheduling ahead in an offline render. A voice
+// that is already fading (stolen from the release tail) fades on from where
+// its last release had got to rather than from its sustain level.
+function releaseVoice(voice, time, releaseTime = voice.patch.envelope.release) {
+    const { patch, startTime } = voice;
+    const elapsed = Math.max(0, time - startTime);
+    const release = Math.max(0.005, releaseTime);
+
+    let level = envelopeLevel(patch.envelope, elapsed);
+    let filterLevel = voice.filter ? envelopeLevel(patch.filter, elapsed) : 0;
+    if (voice.released && time >= voice.released.time) {
+        const { time: from, length } = voice.released;
+        const remaining = Math.max(0, 1 - (time - from) / length);
+        level = voice.released.level * remaining;
+        filterLevel = voice.released.filterLevel * remaining;
+    }
+    voice.released = { time, length: release, level, filterLevel };
+
+    const gain = voice.gainNode.gain;
+    gain.cancelScheduledValues(time);
+    gain.setValueAtTime(patch.gain * level, time);
+    gain.linearRampToValueAtTime(0, time + release);
+
+    if (voice.filter) {
+        const frequency = voice.filter.frequency;
+        frequency.cancelScheduledValues(time);
+        frequency.setValueAtTime(voice.cutoff + (voice.peakCutoff - voice.cutoff) * filterLevel, time);
+        frequency.linearRampToValueAtTime(voice.cutoff, time + release);
+    }
+
+    voice.oscillators.forEach(osc => osc.stop(time + release));
+    return time + release;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        WAVEFORMS, FILTER_TYPES, DEFAULT_PATCH, VOICE_PRESETS,
+        normalizePatch, getPreset, envelopeLevel, createVoice, releaseVoice
+    };
+}